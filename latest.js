@@ -4,7 +4,7 @@
  *
  * Features:
  *  - Day 1–5 "Recent Submissions" dashboard
- *  - Missing Submissions by latest created assignments
+ *  - Missing Submissions by most recently due assignments
  *  - Settings helpers (Hours Back, Only Ungraded, Highlight Late)
  *  - Menus, Triggers, Help
  ***************************************************************/
@@ -18,11 +18,38 @@ function onOpen() {
   const ui = SpreadsheetApp.getUi();
   ui.createMenu('Canvas Hub')
     .addItem('Refresh Now (Recent Submissions)', 'refreshSubmissions')
+    .addItem('Sync Grades with Canvas', 'syncGrades')
     .addSeparator()
     .addItem('Check Missing Submissions', 'openMissingSubmissionsDialog')
+    .addItem('Message Missing Students', 'previewMissingMessages')
+    .addItem('Send Previewed Messages', 'sendPreviewedMessages')
+    .addItem('Student Report', 'openStudentReportDialog')
+    .addItem('Export Student Report (PDF)', 'exportStudentReportPdf')
+    .addItem('Update Grading Queue', 'updateGradingQueue')
+    .addItem('Update Turnaround Report', 'updateTurnaroundReport')
+    .addItem('Send Digest Now', 'sendDigestNow')
     .addSeparator()
     .addItem('Update Settings', 'reloadSettings')
-    .addItem('Set Up Auto-Run (5 AM Daily)', 'setupDailyTrigger')
+    .addItem('Test Connection', 'runDiagnostics')
+    .addItem('Choose Courses', 'openCoursePicker')
+    .addSubMenu(
+      ui
+        .createMenu('Canvas Login')
+        .addItem('Set API Token', 'setApiToken')
+        .addItem('Connect Canvas Account (OAuth)', 'connectCanvasAccount')
+        .addItem('Set OAuth Client Secret', 'setOAuthClientSecret')
+        .addItem('Sign Out of Canvas', 'signOutCanvas')
+    )
+    .addItem('Reset Refresh History', 'resetRefreshHistory')
+    .addItem('Clear Cache', 'clearCache')
+    .addSubMenu(
+      ui
+        .createMenu('Schedules')
+        .addItem('Apply Auto-Run Schedule', 'setupDailyTrigger')
+        .addItem('Show Schedules', 'showSchedules')
+        .addItem('Pause / Resume Schedules', 'toggleSchedulesPaused')
+        .addItem('Remove All Schedules', 'removeAllSchedules')
+    )
     .addSeparator()
     .addItem('Help', 'showHelp')
     .addToUi();
@@ -49,57 +76,186 @@ function onOpen() {
  * Expects rows like:  Setting | Value
  * Required:
  *   - Canvas Base URL
- *   - Canvas API Token
- *   - Course IDs (comma-separated)
+ *   - Canvas login: a personal token (Canvas Hub → Canvas Login → Set API Token)
+ *     or, with "Canvas OAuth Client ID" set, Connect Canvas Account. A token
+ *     typed into the old "Canvas API Token" row is moved out of the sheet.
+ *   - Course IDs (comma-separated; "course:section" limits a course to one section,
+ *     repeat the course for more sections)
  * Optional:
- *   - Hours to Look Back
- *   - Run Time (info only)
+ *   - Hours to Look Back (first refresh of a course only; later runs use the high-water mark)
+ *   - Run Time  ("5:00 AM", "6:00 AM, 2:00 PM", "Hourly" or "Hourly 7:00 AM-4:00 PM")
+ *   - Weekdays Only?
+ *   - Missing Report Schedule  (e.g. "Friday 3:00 PM"; blank = not scheduled)
+ *   - Missing Report Range  (1–5, ALL or DUE7 / DUE14 / DUE30, used by the scheduled report)
+ *   - Send Digest?  (after scheduled refreshes)
+ *   - Digest Email  (comma-separated)
+ *   - Digest Webhook URL  (Google Chat / Slack incoming webhook)
+ *   - Missing Message Subject / Missing Message Template
+ *       placeholders: {student} {first_name} {course} {assignments} {count}
+ *   - CC Observers on Messages?
+ *   - Include Test Student? / Include Inactive Students? / Include Invited Students? /
+ *     Include Concluded Students?  (rosters leave these out unless Yes)
  *   - Show Only Ungraded?
  *   - Highlight Late Submissions?
+ *   - Extra Day Columns  (comma-separated: Attempt, Resubmitted, Due Date, Days Late,
+ *       Submission Type, Points Possible; or "All")
+ *   - Queue Weights  (e.g. "Age 3, Due 2, Points 1, Late 2, Course 2"; Grading Queue ranking)
+ *   - Course Priority  (e.g. "101:3, 202:1"; unlisted courses are 1)
+ *   - Cache Minutes  (e.g. "Names 360, Rosters 60, Assignments 15"; 0 = no caching)
+ *   - Push Grades to Canvas?  (Sync Grades posts sheet scores/comments)
+ * Pass { requireCourses: false } to load settings before any course is chosen,
+ * and { requireAuth: false } to load them before the user has signed in.
  */
-function getSettings() {
+function getSettings(options) {
+  const requireCourses = !(options && options.requireCourses === false);
+  const requireAuth = !(options && options.requireAuth === false);
   const ss = SpreadsheetApp.getActiveSpreadsheet();
   const settingsSheet = ss.getSheetByName('Settings');
   if (!settingsSheet) {
     throw new Error('Settings tab not found. Please create a "Settings" sheet.');
   }
 
-  const data = settingsSheet.getDataRange().getValues();
-  const settings = {};
-
-  // Start at row 3 (index 2): row 1 title, row 2 column headers.
-  for (let i = 2; i < data.length; i++) {
-    const key = (data[i][0] || '').toString().trim();
-    const value = (data[i][1] || '').toString().trim();
-    if (key) settings[key] = value;
-  }
+  const settings = readRawSettings_(settingsSheet);
 
   if (!settings['Canvas Base URL'] || settings['Canvas Base URL'] === 'yourschool.instructure.com') {
     throw new Error(
       'Please enter your Canvas Base URL in the Settings tab (e.g. yourschool.instructure.com).'
     );
   }
-  if (!settings['Canvas API Token'] || settings['Canvas API Token'] === 'PASTE_YOUR_TOKEN_HERE') {
-    throw new Error('Please enter your Canvas API Token in the Settings tab.');
-  }
-  if (!settings['Course IDs (comma-separated)']) {
+  migrateSheetToken_(settings['Canvas API Token']);
+  if (requireCourses && !settings['Course IDs (comma-separated)']) {
     throw new Error('Please enter one or more Course IDs in the Settings tab (comma-separated).');
   }
 
-  return {
+  const courses = parseCourseEntries_(settings['Course IDs (comma-separated)']);
+
+  const out = {
     baseUrl: settings['Canvas Base URL']
       .replace(/^https?:\/\//, '')
       .replace(/\/$/, ''),
-    apiToken: settings['Canvas API Token'],
-    courseIds: settings['Course IDs (comma-separated)']
+    apiToken: '',
+    oauthClientId: settings['Canvas OAuth Client ID'] || '',
+    courseIds: courses.courseIds,
+    courseSections: courses.courseSections,
+    hoursBack: parseInt(settings['Hours to Look Back'], 10) || 24, // default 24 hours
+    runTime: settings['Run Time'] || '5:00 AM',
+    weekdaysOnly: normalizeYesNo_(settings['Weekdays Only?']),
+    missingSchedule: settings['Missing Report Schedule'] || '',
+    missingRange: (settings['Missing Report Range'] || '5').toUpperCase(),
+    sendDigest: normalizeYesNo_(settings['Send Digest?']),
+    digestEmails: (settings['Digest Email'] || '')
       .split(',')
-      .map(s => s.trim())
+      .map(e => e.trim())
       .filter(Boolean),
-    hoursBack: parseInt(settings['Hours to Look Back'], 10) || 24, // default 24 hours
-    runTime: settings['Run Time'] || '5:00 AM', // informational only
+    digestWebhookUrl: settings['Digest Webhook URL'] || '',
+    messageSubject: settings['Missing Message Subject'] || DEFAULT_MESSAGE_SUBJECT,
+    messageTemplate: (
+      settings['Missing Message Template'] || DEFAULT_MESSAGE_TEMPLATE
+    ).replace(/\\n/g, '\n'), // allow a literal \n typed into the cell
+    ccObservers: normalizeYesNo_(settings['CC Observers on Messages?']),
     showOnlyUngraded: normalizeYesNo_(settings['Show Only Ungraded?']),
-    highlightLate: normalizeYesNo_(settings['Highlight Late Submissions?'])
+    highlightLate: normalizeYesNo_(settings['Highlight Late Submissions?']),
+    extraDayColumns: parseExtraDayColumns_(settings['Extra Day Columns']).headers,
+    queueWeights: parseQueueWeights_(settings['Queue Weights']).weights,
+    coursePriority: parseCoursePriority_(settings['Course Priority']),
+    cacheMinutes: parseCacheMinutes_(settings['Cache Minutes']).minutes,
+    rosterInclude: ROSTER_EXCLUSIONS.reduce((acc, x) => {
+      acc[x.reason] = normalizeYesNo_(settings[x.setting]);
+      return acc;
+    }, {}),
+    pushGrades: normalizeYesNo_(settings['Push Grades to Canvas?'])
   };
+
+  out.apiToken = getCanvasAccessToken_(out);
+  if (requireAuth && !out.apiToken) {
+    throw new Error(
+      out.oauthClientId
+        ? 'You are not signed in to Canvas. ' +
+          'Use Canvas Hub → Canvas Login → Connect Canvas Account.'
+        : 'No Canvas API token is saved for you. Use Canvas Hub → Canvas Login → Set API Token.'
+    );
+  }
+  return out;
+}
+
+/**
+ * Split the Course IDs cell into unique course ids plus per-course section
+ * filters. "101, 202:5501, 202:5502" → courseIds ['101', '202'],
+ * courseSections { '202': ['5501', '5502'] }. A course listed once without a
+ * section is not filtered, even if it is also listed with one.
+ */
+function parseCourseEntries_(raw) {
+  const courseIds = [];
+  const sections = {};
+  const whole = {};
+
+  String(raw || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const parts = entry.split(':').map(p => p.trim());
+      const courseId = parts[0];
+      if (!courseId) return;
+      if (courseIds.indexOf(courseId) < 0) courseIds.push(courseId);
+
+      if (!parts[1]) {
+        whole[courseId] = true;
+      } else {
+        sections[courseId] = sections[courseId] || [];
+        if (sections[courseId].indexOf(parts[1]) < 0) sections[courseId].push(parts[1]);
+      }
+    });
+
+  const courseSections = {};
+  Object.keys(sections).forEach(id => {
+    if (!whole[id]) courseSections[id] = sections[id];
+  });
+  return { courseIds: courseIds, courseSections: courseSections };
+}
+
+/**
+ * Settings rows as { name: trimmed text value }.
+ */
+function readRawSettings_(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const settings = {};
+
+  // Start at row 3 (index 2): row 1 title, row 2 column headers.
+  for (let i = 2; i < data.length; i++) {
+    const key = (data[i][0] || '').toString().trim();
+    const value = (data[i][1] || '').toString().trim();
+    if (key) settings[key] = value;
+  }
+  return settings;
+}
+
+/**
+ * Value of one Settings row ('' when the row is missing).
+ */
+function getSettingValue_(sheet, key) {
+  const data = sheet.getDataRange().getValues();
+  for (let i = 2; i < data.length; i++) {
+    if ((data[i][0] || '').toString().trim() === key) return data[i][1];
+  }
+  return '';
+}
+
+/**
+ * Write one Settings value, adding the row if it does not exist yet.
+ */
+function setSettingValue_(key, value) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Settings');
+  if (!sheet) throw new Error('Settings tab not found. Please create a "Settings" sheet.');
+
+  const data = sheet.getDataRange().getValues();
+  for (let i = 2; i < data.length; i++) {
+    if ((data[i][0] || '').toString().trim() === key) {
+      sheet.getRange(i + 1, 2).setValue(value);
+      return;
+    }
+  }
+  sheet.getRange(Math.max(sheet.getLastRow() + 1, 3), 1, 1, 2).setValues([[key, value]]);
 }
 
 /**
@@ -112,505 +268,5475 @@ function normalizeYesNo_(val) {
 }
 
 /**
- * Canvas auth header.
+ * Per-execution run context. Trigger handlers set headless = true so
+ * end-of-run alerts are logged instead of shown.
  */
-function canvasHeaders_(settings) {
-  return { Authorization: 'Bearer ' + settings.apiToken };
-}
+const HUB_RUN_CONTEXT_ = { headless: false };
 
 /**
- * Centralized Canvas API fetch helper with better error messages.
+ * Alert the user, or just log when running headless (triggers have no UI).
  */
-function canvasFetch_(settings, url, options, contextLabel) {
-  const fullUrl = url.startsWith('http') ? url : 'https://' + settings.baseUrl + url;
-  const opts = options || {};
-  opts.muteHttpExceptions = true;
-  opts.headers = Object.assign({}, canvasHeaders_(settings), opts.headers || {});
-
-  const res = UrlFetchApp.fetch(fullUrl, opts);
-  const code = res.getResponseCode();
-
-  if (code === 401 || code === 403) {
-    throw new Error(
-      'Canvas returned ' +
-        code +
-        ' for ' +
-        contextLabel +
-        '.\n\nThis usually means:\n' +
-        '• The API token is invalid or expired, OR\n' +
-        '• The token does not have permission to view this course.\n\n' +
-        'Try generating a new token in Canvas (Account → Settings → New Access Token),\n' +
-        'update it in the Settings tab, and re-run.'
-    );
+function hubAlert_(message) {
+  if (HUB_RUN_CONTEXT_.headless) {
+    Logger.log('[alert] ' + message);
+    return;
   }
-
-  if (code < 200 || code >= 300) {
-    throw new Error(
-      'Canvas API error (' +
-        code +
-        ') while ' +
-        contextLabel +
-        '.\nResponse: ' +
-        res.getContentText().slice(0, 500)
-    );
+  try {
+    SpreadsheetApp.getUi().alert(message);
+  } catch (e) {
+    Logger.log('[alert] ' + message);
   }
+}
 
-  const text = res.getContentText();
-  if (!text) return null;
-
+/**
+ * Toast on the active spreadsheet; ignored where toasts are unavailable (e.g. triggers).
+ */
+function hubToast_(msg, title, seconds) {
   try {
-    return JSON.parse(text);
+    SpreadsheetApp.getActive().toast(msg, title, seconds);
   } catch (e) {
-    throw new Error('Failed to parse Canvas response while ' + contextLabel + '.');
+    Logger.log('[' + title + '] ' + msg);
   }
 }
 
-/***************************************************************
- * RECENT SUBMISSIONS DASHBOARD (DAY 1–5)
- ***************************************************************/
+/**
+ * Canvas auth header.
+ */
+function canvasHeaders_(settings) {
+  return { Authorization: 'Bearer ' + settings.apiToken };
+}
 
 /**
- * Main entry: refresh recent submissions into Day 1 (rotating Day 1–5).
- * Called from the Canvas Hub menu.
+ * Maximum number of pages canvasFetchAll_ will follow for one list request.
+ * At per_page=100 this allows 5,000 items before the result is truncated.
  */
-function refreshSubmissions() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  Logger.log('=== Starting Canvas Grading Hub Refresh ===');
+const CANVAS_MAX_PAGES = 50;
 
-  try {
-    const settings = getSettings();
-    const submissions = fetchCanvasSubmissions_(settings);
+/**
+ * Centralized Canvas API fetch helper with better error messages.
+ */
+function canvasFetch_(settings, url, options, contextLabel) {
+  const res = canvasRequest_(settings, url, options, contextLabel);
+  return parseCanvasJson_(res, contextLabel);
+}
 
-    if (submissions.length === 0) {
-      SpreadsheetApp.getUi().alert(
-        'No new submissions found in the last ' +
-          settings.hoursBack +
-          ' hours.\n\nYou can adjust "Hours to Look Back" in the Settings tab.'
-      );
-      return;
+/**
+ * Paginated variant of canvasFetch_ for list endpoints.
+ * Follows Canvas `Link: <…>; rel="next"` headers and concatenates every page,
+ * stopping after maxPages (default CANVAS_MAX_PAGES).
+ */
+function canvasFetchAll_(settings, url, options, contextLabel, maxPages) {
+  const limit = maxPages || CANVAS_MAX_PAGES;
+  const all = [];
+  let nextUrl = url;
+  let page = 0;
+
+  while (nextUrl && page < limit) {
+    const res = canvasRequest_(settings, nextUrl, Object.assign({}, options), contextLabel);
+    const data = parseCanvasJson_(res, contextLabel);
+
+    if (Array.isArray(data)) {
+      all.push.apply(all, data);
+    } else if (data) {
+      all.push(data);
     }
 
-    rotateDayTabs_();
-    populateDayTab_(submissions, settings);
+    nextUrl = getNextPageUrl_(res);
+    page++;
+  }
 
-    Logger.log('=== Refresh Complete ===');
-    SpreadsheetApp.getUi().alert(
-      'Found ' + submissions.length + ' new submission(s)! Check the Day 1 tab.'
+  if (nextUrl) {
+    Logger.log(
+      'Page limit (' + limit + ') reached while ' + contextLabel + '; results are truncated.'
     );
-  } catch (err) {
-    Logger.log('ERROR in refreshSubmissions: ' + err.message);
-    SpreadsheetApp.getUi().alert('Error: ' + err.message);
   }
+
+  return all;
 }
 
 /**
- * Gather recent submissions across all configured courses within hoursBack window.
+ * Retry / throttle tuning for canvasRequest_.
+ *  - Transient failures (429, 403 "Rate Limit Exceeded", 5xx, network errors)
+ *    are retried up to CANVAS_MAX_RETRIES times with exponential backoff + jitter.
+ *  - When X-Rate-Limit-Remaining drops below CANVAS_RATE_LIMIT_LOW_WATER the
+ *    next call is delayed proportionally (up to CANVAS_THROTTLE_MAX_MS).
  */
-function fetchCanvasSubmissions_(settings) {
-  const all = [];
-  const cutoff = new Date(Date.now() - settings.hoursBack * 60 * 60 * 1000);
+const CANVAS_MAX_RETRIES = 5;
+const CANVAS_BACKOFF_BASE_MS = 1000;
+const CANVAS_BACKOFF_MAX_MS = 32000;
+const CANVAS_RATE_LIMIT_LOW_WATER = 300;
+const CANVAS_THROTTLE_MAX_MS = 2000;
 
-  // Preload course names for nice display.
-  const courseNames = {};
-  settings.courseIds.forEach(id => {
+/**
+ * Per-execution request counters, reported at the end of a run.
+ */
+const CANVAS_FETCH_STATS_ = { requests: 0, retries: 0, throttledMs: 0 };
+
+/**
+ * Per-execution list of Canvas failures that were skipped over (a course or
+ * assignment left out of the results). Reported in alerts, the digest, the
+ * Day tab header and the Run Log tab.
+ */
+const CANVAS_RUN_ERRORS_ = [];
+
+/**
+ * Perform a single Canvas request and throw a readable error on non-2xx.
+ * Transient failures are retried with backoff before giving up.
+ * Pass `retryRefusedOnly: true` in options for requests that must not be sent
+ * twice (messages, comments): those are retried only when Canvas refused them
+ * for rate limiting, never after a timeout or 5xx that may have gone through.
+ * Returns the raw HTTPResponse so callers can read headers.
+ */
+function canvasRequest_(settings, url, options, contextLabel) {
+  const fullUrl = url.startsWith('http') ? url : 'https://' + settings.baseUrl + url;
+  const opts = options || {};
+  const retryRefusedOnly = !!opts.retryRefusedOnly;
+  delete opts.retryRefusedOnly;
+  opts.muteHttpExceptions = true;
+  opts.headers = Object.assign({}, canvasHeaders_(settings), opts.headers || {});
+  let reauthorized = false;
+
+  for (let attempt = 0; ; attempt++) {
+    let res = null;
+    let fetchError = null;
+
+    CANVAS_FETCH_STATS_.requests++;
     try {
-      courseNames[id] = getCourseName_(settings, id);
+      res = UrlFetchApp.fetch(fullUrl, opts);
     } catch (e) {
-      Logger.log('Course name fallback for ' + id + ': ' + e.message);
-      courseNames[id] = 'Course ' + id;
+      // Network error / timeout inside UrlFetchApp.
+      fetchError = e;
     }
-  });
 
-  settings.courseIds.forEach(courseId => {
-    try {
-      const subs = fetchCourseSubmissions_(
-        settings,
-        courseId,
-        courseNames[courseId],
-        cutoff
+    if (fetchError || isTransientCanvasResponse_(res)) {
+      const retryable = !retryRefusedOnly || (!fetchError && isRateLimitedCanvasResponse_(res));
+      if (retryable && attempt < CANVAS_MAX_RETRIES) {
+        const wait = getRetryDelayMs_(res, attempt);
+        Logger.log(
+          'Retry ' +
+            (attempt + 1) +
+            '/' +
+            CANVAS_MAX_RETRIES +
+            ' while ' +
+            contextLabel +
+            ' in ' +
+            wait +
+            ' ms (' +
+            (fetchError ? fetchError.message : 'HTTP ' + res.getResponseCode()) +
+            ')'
+        );
+        CANVAS_FETCH_STATS_.retries++;
+        Utilities.sleep(wait);
+        continue;
+      }
+
+      if (fetchError) {
+        throw new Error(
+          'Could not reach Canvas while ' +
+            contextLabel +
+            ': ' +
+            fetchError.message +
+            (retryRefusedOnly ? '\n(Not retried: check Canvas before sending again.)' : '')
+        );
+      }
+
+      if (retryable && isRateLimitedCanvasResponse_(res)) {
+        throw canvasError_(
+          res.getResponseCode(),
+          'Canvas rate limit still exceeded after ' +
+            CANVAS_MAX_RETRIES +
+            ' retries while ' +
+            contextLabel +
+            '.\nWait a few minutes and re-run.'
+        );
+      }
+    }
+
+    const code = res.getResponseCode();
+
+    // An expired OAuth access token comes back as 401: refresh once and retry.
+    if (code === 401 && settings.oauthClientId && !reauthorized) {
+      reauthorized = true;
+      opts.headers.Authorization = 'Bearer ' + refreshCanvasOAuth_(settings);
+      continue;
+    }
+
+    if (code === 401 || code === 403) {
+      throw canvasError_(
+        code,
+        'Canvas returned ' +
+          code +
+          ' for ' +
+          contextLabel +
+          '.\n\nThis usually means:\n' +
+          '• The API token is invalid or expired, OR\n' +
+          '• The token does not have permission to view this course.\n\n' +
+          'Try generating a new token in Canvas (Account → Settings → New Access Token),\n' +
+          'save it with Canvas Hub → Canvas Login → Set API Token, and re-run.'
       );
-      all.push.apply(all, subs);
-      Utilities.sleep(200); // small breather between courses
-    } catch (e) {
-      Logger.log('fetchCourseSubmissions error ' + courseId + ': ' + e.message);
     }
-  });
 
-  all.sort((a, b) => b.submittedDate - a.submittedDate);
-  return all;
+    if (code < 200 || code >= 300) {
+      throw canvasError_(
+        code,
+        'Canvas API error (' +
+          code +
+          ') while ' +
+          contextLabel +
+          '.\nResponse: ' +
+          res.getContentText().slice(0, 500)
+      );
+    }
+
+    throttleForRateLimit_(res);
+    return res;
+  }
 }
 
 /**
- * Get Canvas course name.
+ * True for responses worth retrying: throttling and server-side errors.
  */
-function getCourseName_(settings, courseId) {
-  const course = canvasFetch_(
-    settings,
-    '/api/v1/courses/' + courseId,
-    { method: 'get' },
-    'fetching course ' + courseId
-  );
-  return course && course.name ? course.name : 'Course ' + courseId;
+function isTransientCanvasResponse_(res) {
+  if (isRateLimitedCanvasResponse_(res)) return true;
+  const code = res.getResponseCode();
+  return code === 500 || code === 502 || code === 503 || code === 504;
 }
 
 /**
- * Get submissions for all assignments in a single course.
+ * True when Canvas refused the request for throttling (429, or 403 "Rate Limit Exceeded").
  */
-function fetchCourseSubmissions_(settings, courseId, courseName, cutoff) {
-  const out = [];
-  const assignments = getAssignments_(settings, courseId);
-
-  assignments.forEach(asmt => {
-    try {
-      const subs = getAssignmentSubmissionsFiltered_(
-        settings,
-        courseId,
-        asmt.id,
-        asmt.name,
-        courseName,
-        cutoff
-      );
-      out.push.apply(out, subs);
-      Utilities.sleep(120); // avoid hammering Canvas
-    } catch (e) {
-      Logger.log('Assignment ' + asmt.id + ' error: ' + e.message);
-    }
-  });
-
-  return out;
+function isRateLimitedCanvasResponse_(res) {
+  const code = res.getResponseCode();
+  if (code === 429) return true;
+  return code === 403 && /rate limit exceeded/i.test(res.getContentText());
 }
 
 /**
- * Assignments for a course.
+ * Backoff for retry number `attempt` (0-based). Honors Retry-After when Canvas sends it.
  */
-function getAssignments_(settings, courseId) {
-  try {
-    return (
-      canvasFetch_(
-        settings,
-        '/api/v1/courses/' + courseId + '/assignments?per_page=100',
-        { method: 'get' },
-        'fetching assignments for course ' + courseId
-      ) || []
-    );
-  } catch (e) {
-    Logger.log('Failed to fetch assignments for course ' + courseId + ': ' + e.message);
-    return [];
+function getRetryDelayMs_(res, attempt) {
+  const retryAfter = res ? parseInt(getResponseHeader_(res, 'Retry-After'), 10) : NaN;
+  if (!isNaN(retryAfter) && retryAfter > 0) {
+    return Math.min(retryAfter * 1000, CANVAS_BACKOFF_MAX_MS);
   }
+
+  // Exponential backoff with "equal jitter": half fixed, half random.
+  const ceiling = Math.min(CANVAS_BACKOFF_MAX_MS, CANVAS_BACKOFF_BASE_MS * Math.pow(2, attempt));
+  return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
 }
 
 /**
- * Submissions for a specific assignment, filtered for recency and (optionally) ungraded only.
+ * Slow down as Canvas' rate-limit bucket drains.
  */
-function getAssignmentSubmissionsFiltered_(
-  settings,
-  courseId,
-  assignmentId,
-  assignmentName,
-  courseName,
-  cutoff
-) {
-  let arr;
-  try {
-    arr =
-      canvasFetch_(
-        settings,
-        '/api/v1/courses/' +
-          courseId +
-          '/assignments/' +
-          assignmentId +
-          '/submissions?include[]=user&per_page=100',
-        { method: 'get' },
-        'fetching submissions for assignment ' + assignmentId
-      ) || [];
-  } catch (e) {
-    Logger.log('Failed to fetch submissions for assignment ' + assignmentId + ': ' + e.message);
-    return [];
-  }
+function throttleForRateLimit_(res) {
+  const remaining = parseFloat(getResponseHeader_(res, 'X-Rate-Limit-Remaining'));
+  if (isNaN(remaining) || remaining >= CANVAS_RATE_LIMIT_LOW_WATER) return;
 
-  const out = [];
-  arr.forEach(s => {
-    if (!s.submitted_at || s.workflow_state === 'unsubmitted') return;
+  const pressure = 1 - Math.max(remaining, 0) / CANVAS_RATE_LIMIT_LOW_WATER;
+  const wait = Math.round(pressure * CANVAS_THROTTLE_MAX_MS);
+  if (wait <= 0) return;
 
-    const submittedDate = new Date(s.submitted_at);
-    if (submittedDate < cutoff) return;
+  CANVAS_FETCH_STATS_.throttledMs += wait;
+  Utilities.sleep(wait);
+}
 
-    if (settings.showOnlyUngraded && s.workflow_state === 'graded') return;
+/**
+ * Error for a non-2xx Canvas response; `httpCode` lets callers and the Run Log
+ * tell a 403 from a 404.
+ */
+function canvasError_(code, message) {
+  const err = new Error(message);
+  err.httpCode = code;
+  return err;
+}
 
-    const studentName = s.user
-      ? s.user.name || s.user.sortable_name || 'Unknown Student'
-      : 'Unknown Student';
+/**
+ * Reset request counters and collected errors at the start of a run.
+ */
+function resetCanvasFetchStats_() {
+  CANVAS_FETCH_STATS_.requests = 0;
+  CANVAS_FETCH_STATS_.retries = 0;
+  CANVAS_FETCH_STATS_.throttledMs = 0;
+  CANVAS_RUN_ERRORS_.length = 0;
+}
 
-    const isLate = !!s.late;
+/**
+ * One-line summary of request counters for logs and end-of-run alerts.
+ */
+function describeCanvasFetchStats_() {
+  return (
+    'Canvas requests: ' +
+    CANVAS_FETCH_STATS_.requests +
+    ', retries: ' +
+    CANVAS_FETCH_STATS_.retries +
+    ', throttle wait: ' +
+    Math.round(CANVAS_FETCH_STATS_.throttledMs / 1000) +
+    's'
+  );
+}
 
-    const link =
-      'https://' +
-      settings.baseUrl +
-      '/courses/' +
-      courseId +
-      '/gradebook/speed_grader?assignment_id=' +
-      assignmentId +
-      '&student_id=' +
-      s.user_id;
+/**
+ * Alert suffix noting retries, or '' when every request succeeded first time.
+ */
+function retryNote_() {
+  const n = CANVAS_FETCH_STATS_.retries;
+  if (!n) return '';
+  return '\n\n(Canvas was busy: ' + n + ' request(s) had to be retried.)';
+}
 
-    out.push({
-      studentName: studentName,
-      courseName: courseName,
-      assignmentName: assignmentName,
-      submittedDate: submittedDate,
-      isLate: isLate,
-      isGraded: s.workflow_state === 'graded',
-      speedGraderUrl: link
-    });
+/**
+ * Note a failure the run skipped over. `assignmentId` is optional.
+ */
+function recordRunError_(e, courseId, assignmentId) {
+  CANVAS_RUN_ERRORS_.push({
+    at: new Date(),
+    courseId: courseId || '',
+    assignmentId: assignmentId || '',
+    httpCode: (e && e.httpCode) || '',
+    message: String((e && e.message) || e).split('\n')[0]
   });
+}
 
-  return out;
+/**
+ * Alert suffix listing skipped failures, or '' when there were none.
+ */
+function runErrorNote_() {
+  const errors = CANVAS_RUN_ERRORS_;
+  if (!errors.length) return '';
+
+  const lines = errors.slice(0, 3).map(describeRunError_);
+  if (errors.length > 3) lines.push('…and ' + (errors.length - 3) + ' more');
+  return (
+    '\n\n⚠ ' +
+    errors.length +
+    ' Canvas request(s) failed, so these results may be incomplete:\n' +
+    lines.join('\n') +
+    '\nSee the "' +
+    RUN_LOG_SHEET_NAME +
+    '" tab.'
+  );
 }
 
 /**
- * Rotate Day 1–5 tabs and create a fresh Day 1.
+ * One bullet line for a recorded run error ("• Course 101, assignment 5 (HTTP 403): …").
  */
-function rotateDayTabs_() {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
+function describeRunError_(err) {
+  return (
+    '• Course ' +
+    (err.courseId || '?') +
+    (err.assignmentId ? ', assignment ' + err.assignmentId : '') +
+    (err.httpCode ? ' (HTTP ' + err.httpCode + ')' : '') +
+    ': ' +
+    err.message
+  );
+}
 
-  const day5 = ss.getSheetByName('Day 5');
-  if (day5) ss.deleteSheet(day5);
+/**
+ * Run Log tab: one row per skipped failure, newest at the bottom.
+ */
+const RUN_LOG_SHEET_NAME = 'Run Log';
+const RUN_LOG_COLUMNS = ['Timestamp', 'Run', 'Course ID', 'Assignment ID', 'HTTP Code', 'Message'];
+const RUN_LOG_MAX_ROWS = 2000;
 
-  for (let i = 4; i >= 1; i--) {
-    const sh = ss.getSheetByName('Day ' + i);
-    if (sh) sh.setName('Day ' + (i + 1));
+/**
+ * Append this execution's failures to the Run Log (created on first use),
+ * trimming the oldest rows past RUN_LOG_MAX_ROWS.
+ */
+function writeRunLog_(runName) {
+  if (!CANVAS_RUN_ERRORS_.length) return;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sh = ss.getSheetByName(RUN_LOG_SHEET_NAME);
+  if (!sh) {
+    sh = ss.insertSheet(RUN_LOG_SHEET_NAME);
+    sh.getRange(1, 1, 1, RUN_LOG_COLUMNS.length).setValues([RUN_LOG_COLUMNS]);
+    sh
+      .getRange(1, 1, 1, RUN_LOG_COLUMNS.length)
+      .setFontWeight('bold')
+      .setFontColor('#FFFFFF')
+      .setBackground('#7F7F7F');
+    sh.setFrozenRows(1);
+    sh.setColumnWidth(6, 500);
   }
 
-  const day1 = ss.insertSheet('Day 1', 0);
-  setupDayTabTemplate_(day1);
+  const rows = CANVAS_RUN_ERRORS_.map(e => [
+    e.at,
+    runName,
+    e.courseId,
+    e.assignmentId,
+    e.httpCode,
+    e.message
+  ]);
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, RUN_LOG_COLUMNS.length).setValues(rows);
+
+  const excess = sh.getLastRow() - 1 - RUN_LOG_MAX_ROWS;
+  if (excess > 0) sh.deleteRows(2, excess);
 }
 
 /**
- * Configure header + columns for a Day tab.
+ * Parse a Canvas JSON body (null for an empty body).
  */
-function setupDayTabTemplate_(sheet) {
-  sheet.getRange('A1:G1').merge();
-  sheet
-    .getRange('A1')
-    .setValue('CANVAS GRADING DASHBOARD')
+function parseCanvasJson_(res, contextLabel) {
+  const text = res.getContentText();
+  if (!text) return null;
+
+  try {
+    return JSON.parse(text);
+  } catch (e) {
+    throw new Error('Failed to parse Canvas response while ' + contextLabel + '.');
+  }
+}
+
+/**
+ * Case-insensitive response header lookup (Apps Script preserves server casing).
+ */
+function getResponseHeader_(res, name) {
+  const headers = res.getHeaders() || {};
+  const wanted = name.toLowerCase();
+  for (const key in headers) {
+    if (key.toLowerCase() === wanted) return headers[key];
+  }
+  return null;
+}
+
+/**
+ * Extract the rel="next" URL from a Canvas Link header, or null on the last page.
+ */
+function getNextPageUrl_(res) {
+  const link = getResponseHeader_(res, 'Link');
+  if (!link) return null;
+
+  const parts = link.toString().split(',');
+  for (let i = 0; i < parts.length; i++) {
+    const m = parts[i].match(/<([^>]+)>\s*;\s*rel="?next"?/);
+    if (m) return m[1];
+  }
+  return null;
+}
+
+/***************************************************************
+ * CACHE (COURSE NAMES, ROSTERS, ASSIGNMENT LISTS)
+ ***************************************************************/
+
+/**
+ * Lookups that rarely change are kept in the document cache for the number of
+ * minutes set by "Cache Minutes". Keys carry a generation number from Script
+ * Properties: Clear Cache, or a change to Course IDs, moves to a new
+ * generation and the old entries simply expire. Values larger than one cache
+ * entry allows are split into chunks.
+ */
+const CACHE_GENERATION_KEY = 'CACHE_GENERATION';
+const CACHE_COURSES_KEY = 'CACHE_COURSE_IDS';
+const CACHE_DEFAULT_MINUTES = { names: 360, rosters: 60, assignments: 15 };
+const CACHE_MAX_MINUTES = 360; // CacheService keeps entries for at most 6 hours
+const CACHE_CHUNK_CHARS = 30000; // stays under the 100 KB entry limit for any UTF-8 text
+const CACHE_MAX_CHUNKS = 40;
+
+/**
+ * Return the cached value for (resource, key), or call `load` and cache what
+ * it returns. A load that throws is not cached. Cache failures are logged and
+ * fall back to `load`.
+ */
+function withCache_(settings, resource, key, load) {
+  const minutes = settings.cacheMinutes[resource] || 0;
+  if (!minutes) return load();
+
+  const fullKey = cacheKeyPrefix_(settings) + resource + ':' + key;
+  const hit = cacheGet_(fullKey);
+  if (hit !== null) return hit;
+
+  const value = load();
+  cachePut_(fullKey, value, minutes * 60);
+  return value;
+}
+
+/**
+ * "hub:<generation>:" – moves to a new generation when Course IDs change.
+ */
+function cacheKeyPrefix_(settings) {
+  const props = PropertiesService.getScriptProperties();
+  const courses = settings.courseIds.join(',');
+  let gen = parseInt(props.getProperty(CACHE_GENERATION_KEY), 10) || 0;
+
+  if (props.getProperty(CACHE_COURSES_KEY) !== courses) {
+    gen++;
+    props.setProperties({ [CACHE_GENERATION_KEY]: String(gen), [CACHE_COURSES_KEY]: courses });
+  }
+  return 'hub:' + gen + ':';
+}
+
+/**
+ * Document cache when bound to a spreadsheet, else the script cache.
+ */
+function getHubCache_() {
+  return CacheService.getDocumentCache() || CacheService.getScriptCache();
+}
+
+/**
+ * Parsed value for a chunked entry, or null when missing, expired or incomplete.
+ */
+function cacheGet_(key) {
+  try {
+    const cache = getHubCache_();
+    const head = cache.get(key);
+    if (!head) return null;
+
+    const count = JSON.parse(head).chunks;
+    const keys = [];
+    for (let i = 0; i < count; i++) keys.push(key + '#' + i);
+    const parts = cache.getAll(keys);
+    if (keys.some(k => parts[k] === undefined || parts[k] === null)) return null;
+    return JSON.parse(keys.map(k => parts[k]).join(''));
+  } catch (e) {
+    Logger.log('Cache read failed for ' + key + ': ' + e.message);
+    return null;
+  }
+}
+
+/**
+ * Store a value as JSON chunks plus a head entry holding the chunk count.
+ * Values too large for CACHE_MAX_CHUNKS are not cached.
+ */
+function cachePut_(key, value, seconds) {
+  try {
+    const json = JSON.stringify(value);
+    const count = Math.max(1, Math.ceil(json.length / CACHE_CHUNK_CHARS));
+    if (count > CACHE_MAX_CHUNKS) {
+      Logger.log('Not caching ' + key + ': ' + json.length + ' characters');
+      return;
+    }
+
+    const entries = {};
+    for (let i = 0; i < count; i++) {
+      entries[key + '#' + i] = json.slice(i * CACHE_CHUNK_CHARS, (i + 1) * CACHE_CHUNK_CHARS);
+    }
+    const cache = getHubCache_();
+    cache.putAll(entries, seconds);
+    cache.put(key, JSON.stringify({ chunks: count }), seconds);
+  } catch (e) {
+    Logger.log('Cache write failed for ' + key + ': ' + e.message);
+  }
+}
+
+/**
+ * "Cache Minutes" text ("Names 360, Rosters 60, Assignments 0") →
+ * { minutes, unknown: [names] }. Resources not listed keep their
+ * CACHE_DEFAULT_MINUTES value; 0 turns caching off for that resource.
+ */
+function parseCacheMinutes_(text) {
+  const minutes = Object.assign({}, CACHE_DEFAULT_MINUTES);
+  const unknown = [];
+
+  String(text || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const m = entry.match(/^([a-z]+)\s*[:=]?\s*(\d+)$/i);
+      const name = m ? m[1].toLowerCase() : '';
+      if (!m || !Object.prototype.hasOwnProperty.call(minutes, name)) {
+        unknown.push(entry);
+        return;
+      }
+      minutes[name] = Math.min(Number(m[2]), CACHE_MAX_MINUTES);
+    });
+
+  return { minutes: minutes, unknown: unknown };
+}
+
+/**
+ * Forget every cached course name, roster and assignment list.
+ * Called from Canvas Hub → Clear Cache.
+ */
+function clearCache() {
+  const props = PropertiesService.getScriptProperties();
+  const gen = parseInt(props.getProperty(CACHE_GENERATION_KEY), 10) || 0;
+  props.setProperty(CACHE_GENERATION_KEY, String(gen + 1));
+  hubAlert_('Cache cleared. The next run downloads course names, rosters and assignments again.');
+}
+
+/***************************************************************
+ * CANVAS LOGIN (PERSONAL TOKEN OR OAUTH2)
+ ***************************************************************/
+
+/**
+ * Credentials never live in the sheet. A personal API token and the OAuth
+ * tokens are kept in User Properties, so each teacher on a shared sheet uses
+ * their own. The OAuth client secret belongs to the school's developer key and
+ * is kept in Script Properties.
+ */
+const USER_TOKEN_KEY = 'CANVAS_API_TOKEN';
+const OAUTH_STATE_KEY = 'CANVAS_OAUTH';
+const OAUTH_SECRET_KEY = 'CANVAS_OAUTH_CLIENT_SECRET';
+const OAUTH_CALLBACK_HANDLER = 'canvasOAuthCallback';
+const OAUTH_EXPIRY_MARGIN_MS = 5 * 60 * 1000; // refresh a little before Canvas expires it
+const TOKEN_STORED_NOTE = '(stored securely – use Canvas Hub → Canvas Login)';
+const TOKEN_PLACEHOLDERS = ['', 'PASTE_YOUR_TOKEN_HERE', TOKEN_STORED_NOTE];
+
+/**
+ * One-time migration: move a token typed into the Settings cell into the
+ * current user's properties and replace the cell with a note.
+ */
+function migrateSheetToken_(rawValue) {
+  if (TOKEN_PLACEHOLDERS.indexOf(rawValue || '') >= 0) return;
+
+  PropertiesService.getUserProperties().setProperty(USER_TOKEN_KEY, rawValue);
+  setSettingValue_('Canvas API Token', TOKEN_STORED_NOTE);
+  Logger.log('Moved the Canvas API token from the Settings tab into User Properties.');
+}
+
+/**
+ * Current bearer token for this user ('' when not signed in). OAuth access
+ * tokens close to expiry are refreshed first.
+ */
+function getCanvasAccessToken_(settings) {
+  if (!settings.oauthClientId) {
+    return PropertiesService.getUserProperties().getProperty(USER_TOKEN_KEY) || '';
+  }
+
+  const state = loadOAuthState_();
+  if (!state || !state.accessToken) return '';
+  if (state.expiresAt && state.expiresAt - OAUTH_EXPIRY_MARGIN_MS < Date.now()) {
+    try {
+      return refreshCanvasOAuth_(settings);
+    } catch (e) {
+      Logger.log('OAuth refresh failed: ' + e.message);
+      return '';
+    }
+  }
+  return state.accessToken;
+}
+
+/**
+ * This user's saved OAuth tokens, or null when not signed in.
+ */
+function loadOAuthState_() {
+  const raw = PropertiesService.getUserProperties().getProperty(OAUTH_STATE_KEY);
+  return raw ? JSON.parse(raw) : null;
+}
+
+/**
+ * Store a Canvas token response ({ access_token, refresh_token, expires_in, user }).
+ * Canvas omits refresh_token on refresh, so the previous one is kept.
+ */
+function saveOAuthState_(resp, previous) {
+  const state = {
+    accessToken: resp.access_token,
+    refreshToken: resp.refresh_token || (previous && previous.refreshToken) || '',
+    expiresAt: resp.expires_in ? Date.now() + resp.expires_in * 1000 : null,
+    userName: (resp.user && resp.user.name) || (previous && previous.userName) || ''
+  };
+  PropertiesService.getUserProperties().setProperty(OAUTH_STATE_KEY, JSON.stringify(state));
+  return state;
+}
+
+/**
+ * Trade the refresh token for a new access token, update `settings.apiToken`
+ * and return it. Throws when the user has to connect again.
+ */
+function refreshCanvasOAuth_(settings) {
+  const state = loadOAuthState_();
+  if (!state || !state.refreshToken) {
+    throw new Error(
+      'Your Canvas sign-in has expired. Use Canvas Hub → Canvas Login → Connect Canvas Account.'
+    );
+  }
+
+  const resp = postCanvasOAuthToken_(settings, {
+    grant_type: 'refresh_token',
+    refresh_token: state.refreshToken
+  });
+  settings.apiToken = saveOAuthState_(resp, state).accessToken;
+  return settings.apiToken;
+}
+
+/**
+ * POST to Canvas's /login/oauth2/token with the developer key credentials.
+ */
+function postCanvasOAuthToken_(settings, params) {
+  const secret = PropertiesService.getScriptProperties().getProperty(OAUTH_SECRET_KEY);
+  if (!secret) {
+    throw new Error(
+      'The OAuth client secret is not set. ' +
+        'Use Canvas Hub → Canvas Login → Set OAuth Client Secret.'
+    );
+  }
+
+  const res = UrlFetchApp.fetch('https://' + settings.baseUrl + '/login/oauth2/token', {
+    method: 'post',
+    payload: Object.assign({ client_id: settings.oauthClientId, client_secret: secret }, params),
+    muteHttpExceptions: true
+  });
+  const code = res.getResponseCode();
+  if (code !== 200) {
+    if (code === 400 || code === 401) clearOAuthState_();
+    throw new Error(
+      'Canvas sign-in failed (' +
+        code +
+        '). Use Canvas Hub → Canvas Login → Connect Canvas Account.\nResponse: ' +
+        res.getContentText().slice(0, 300)
+    );
+  }
+  return JSON.parse(res.getContentText());
+}
+
+/**
+ * Forget this user's OAuth tokens.
+ */
+function clearOAuthState_() {
+  PropertiesService.getUserProperties().deleteProperty(OAUTH_STATE_KEY);
+}
+
+/**
+ * Redirect URI to register on the Canvas developer key.
+ */
+function getOAuthRedirectUri_() {
+  return 'https://script.google.com/macros/d/' + ScriptApp.getScriptId() + '/usercallback';
+}
+
+/**
+ * Menu: save a personal Canvas access token for the current user.
+ */
+function setApiToken() {
+  const ui = SpreadsheetApp.getUi();
+  const resp = ui.prompt(
+    'Set API Token',
+    'Paste your Canvas access token (Account → Settings → New Access Token).\n' +
+      'It is stored only for your Google account, not in the sheet.',
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const token = resp.getResponseText().trim();
+  if (!token) {
+    ui.alert('No token entered; nothing changed.');
+    return;
+  }
+  PropertiesService.getUserProperties().setProperty(USER_TOKEN_KEY, token);
+
+  try {
+    const settings = getSettings({ requireCourses: false });
+    const me = canvasFetch_(
+      settings,
+      '/api/v1/users/self',
+      { method: 'get' },
+      'checking the token'
+    );
+    ui.alert('Token saved. Signed in to Canvas as ' + (me && me.name ? me.name : 'you') + '.');
+  } catch (e) {
+    ui.alert('Token saved, but Canvas did not accept it yet:\n\n' + e.message);
+  }
+}
+
+/**
+ * Menu: store the developer key's client secret (shared by everyone using this sheet).
+ */
+function setOAuthClientSecret() {
+  const ui = SpreadsheetApp.getUi();
+  const resp = ui.prompt(
+    'Set OAuth Client Secret',
+    'Paste the client secret of your school’s Canvas developer key.\n' +
+      'Redirect URI to register on the key:\n' +
+      getOAuthRedirectUri_(),
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const secret = resp.getResponseText().trim();
+  if (!secret) {
+    ui.alert('No secret entered; nothing changed.');
+    return;
+  }
+  PropertiesService.getScriptProperties().setProperty(OAUTH_SECRET_KEY, secret);
+  ui.alert('Client secret saved. Each teacher can now use Connect Canvas Account.');
+}
+
+/**
+ * Menu: start the OAuth2 authorization flow in a new tab.
+ */
+function connectCanvasAccount() {
+  const ui = SpreadsheetApp.getUi();
+  let settings;
+  try {
+    settings = getSettings({ requireCourses: false, requireAuth: false });
+  } catch (e) {
+    ui.alert('Error loading settings: ' + e.message);
+    return;
+  }
+
+  if (!settings.oauthClientId) {
+    ui.alert(
+      'Add a "Canvas OAuth Client ID" row to Settings (the ID of your school’s Canvas ' +
+        'developer key) to sign in with your Canvas account, or use Set API Token instead.'
+    );
+    return;
+  }
+
+  const stateToken = ScriptApp.newStateToken()
+    .withMethod(OAUTH_CALLBACK_HANDLER)
+    .withTimeout(3600)
+    .createToken();
+  const url =
+    'https://' +
+    settings.baseUrl +
+    '/login/oauth2/auth?client_id=' +
+    encodeURIComponent(settings.oauthClientId) +
+    '&response_type=code&redirect_uri=' +
+    encodeURIComponent(getOAuthRedirectUri_()) +
+    '&state=' +
+    encodeURIComponent(stateToken);
+
+  const html = HtmlService.createHtmlOutput(
+    '<p style="font-family:Arial,sans-serif">' +
+      '<a href="' +
+      escapeHtml_(url) +
+      '" target="_blank">Open Canvas to authorize the Grading Hub</a></p>' +
+      '<p style="font-family:Arial,sans-serif;color:#666;font-size:12px">' +
+      'Approve access in the new tab, then close this window.</p>'
+  )
+    .setWidth(360)
+    .setHeight(130);
+  ui.showModalDialog(html, 'Connect Canvas Account');
+}
+
+/**
+ * OAuth2 redirect target (Apps Script state-token callback).
+ */
+function canvasOAuthCallback(request) {
+  const params = (request && request.parameter) || {};
+  if (params.error || !params.code) {
+    return HtmlService.createHtmlOutput(
+      'Canvas did not authorize the Grading Hub (' +
+        escapeHtml_(params.error || 'no code') +
+        ').'
+    );
+  }
+
+  try {
+    const settings = getSettings({ requireCourses: false, requireAuth: false });
+    const state = saveOAuthState_(
+      postCanvasOAuthToken_(settings, {
+        grant_type: 'authorization_code',
+        redirect_uri: getOAuthRedirectUri_(),
+        code: params.code
+      }),
+      null
+    );
+    return HtmlService.createHtmlOutput(
+      'Connected to Canvas' +
+        (state.userName ? ' as ' + escapeHtml_(state.userName) : '') +
+        '. You can close this tab.'
+    );
+  } catch (e) {
+    Logger.log('canvasOAuthCallback error: ' + e.message);
+    return HtmlService.createHtmlOutput('Could not finish signing in: ' + escapeHtml_(e.message));
+  }
+}
+
+/**
+ * Menu: forget this user's Canvas token / OAuth sign-in.
+ */
+function signOutCanvas() {
+  const ui = SpreadsheetApp.getUi();
+  const btn = ui.alert(
+    'Sign Out of Canvas',
+    'Remove your saved Canvas token from this sheet? Scheduled runs you set up will stop ' +
+      'working until you sign in again.',
+    ui.ButtonSet.YES_NO
+  );
+  if (btn !== ui.Button.YES) return;
+
+  const state = loadOAuthState_();
+  if (state && state.accessToken) {
+    try {
+      const settings = getSettings({ requireCourses: false, requireAuth: false });
+      UrlFetchApp.fetch('https://' + settings.baseUrl + '/login/oauth2/token', {
+        method: 'delete',
+        headers: { Authorization: 'Bearer ' + state.accessToken },
+        muteHttpExceptions: true
+      });
+    } catch (e) {
+      Logger.log('OAuth token revoke failed: ' + e.message);
+    }
+  }
+
+  PropertiesService.getUserProperties().deleteProperty(USER_TOKEN_KEY);
+  clearOAuthState_();
+  ui.alert('Signed out of Canvas.');
+}
+
+/***************************************************************
+ * RECENT SUBMISSIONS DASHBOARD (DAY 1–5)
+ ***************************************************************/
+
+/**
+ * Main entry: refresh recent submissions into Day 1 (rotating Day 1–5).
+ * Called from the Canvas Hub menu, or from a trigger (headless: no alerts,
+ * and the digest is sent when "Send Digest?" is Yes).
+ * @param {Object=} e Trigger event, when run by a trigger.
+ */
+function refreshSubmissions(e) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  if (e && e.triggerUid) HUB_RUN_CONTEXT_.headless = true;
+  Logger.log('=== Starting Canvas Grading Hub Refresh ===');
+  resetCanvasFetchStats_();
+
+  try {
+    const settings = getSettings();
+    const result = fetchCanvasSubmissions_(settings);
+    // Outstanding peer reviews and old quiz attempts are only added once.
+    const listed = getDayTabKeys_();
+    const submissions = result.submissions.filter(
+      row => !(row.isPeerReview || row.isOutstanding) || !listed.has(row.key)
+    );
+    const reviews = submissions.filter(row => row.isPeerReview).length;
+    const pending = submissions.filter(row => row.isOutstanding).length;
+    const newCount = submissions.length - reviews - pending;
+
+    Logger.log(describeCanvasFetchStats_());
+
+    if (submissions.length === 0) {
+      // Nothing to show, but the window we checked is still covered.
+      saveHighWaterMarks_(settings, result.highWater);
+      updateGradingHistory_(settings, result.all);
+      const day1 = ss.getSheetByName('Day 1');
+      if (isDayTabFromToday_(day1)) setDayTabWarning_(day1);
+      refreshGradingQueue_(settings, {});
+      writeRunLog_('Refresh');
+      sendScheduledDigest_(settings, 0);
+      hubAlert_(
+        'No new submissions found since the last refresh.\n\n' +
+          '"Hours to Look Back" (' +
+          settings.hoursBack +
+          ') is only used the first time a course is refreshed. ' +
+          'Use Canvas Hub → Reset Refresh History to look back again.' +
+          retryNote_() +
+          runErrorNote_()
+      );
+      return;
+    }
+
+    const columns = getDayColumns_(settings);
+    const day1 = ss.getSheetByName('Day 1');
+    if (!isDayTabFromToday_(day1) || !isCurrentDayLayout_(day1, columns)) rotateDayTabs_(columns);
+    populateDayTab_(submissions, settings);
+    saveHighWaterMarks_(settings, result.highWater);
+    updateGradingHistory_(settings, result.all);
+    refreshGradingQueue_(settings, {});
+    writeRunLog_('Refresh');
+    sendScheduledDigest_(settings, newCount);
+
+    Logger.log('=== Refresh Complete ===');
+    hubAlert_(
+      'Found ' +
+        newCount +
+        ' new submission(s)' +
+        (reviews ? ', ' + reviews + ' outstanding peer review(s)' : '') +
+        (pending ? ', ' + pending + ' quiz attempt(s) still needing review' : '') +
+        '! Check the Day 1 tab.' +
+        retryNote_() +
+        runErrorNote_()
+    );
+  } catch (err) {
+    Logger.log('ERROR in refreshSubmissions: ' + err.message);
+    recordRunError_(err);
+    writeRunLog_('Refresh');
+    hubAlert_('Error: ' + err.message);
+  }
+}
+
+/**
+ * Gather submissions across all configured courses made since each course's
+ * high-water mark (or within hoursBack for a course never refreshed before).
+ * Returns { submissions, all, highWater }: submissions honors "Show Only
+ * Ungraded?" and ends with outstanding peer reviews, all does not (used for
+ * grading history), and highWater holds the new mark for every course fetched
+ * successfully; callers persist it once the rows are written.
+ */
+function fetchCanvasSubmissions_(settings) {
+  const all = [];
+  const seen = {};
+  const peerReviews = [];
+  const previous = loadHighWaterMarks_();
+  const highWater = {};
+  const fallback = new Date(Date.now() - settings.hoursBack * 60 * 60 * 1000);
+
+  // Preload course names for nice display.
+  const courseNames = {};
+  settings.courseIds.forEach(id => {
+    try {
+      courseNames[id] = getCourseName_(settings, id);
+    } catch (e) {
+      Logger.log('Course name fallback for ' + id + ': ' + e.message);
+      recordRunError_(e, id);
+      courseNames[id] = 'Course ' + id;
+    }
+  });
+
+  settings.courseIds.forEach(courseId => {
+    const since = previous[courseId] ? new Date(previous[courseId]) : fallback;
+    try {
+      // A section-limited course can't be filtered without its roster, so that
+      // failure skips the course (its high-water mark stays put).
+      const roster = getCourseStudents_(settings, courseId, !!settings.courseSections[courseId]);
+      const res = fetchCourseSubmissions_(settings, courseId, courseNames[courseId], since, roster);
+
+      res.rows.forEach(row => {
+        // De-duplicate by submission id, keeping the newest attempt.
+        const prior = seen[row.submissionId];
+        if (prior && prior.submittedDate >= row.submittedDate) return;
+        seen[row.submissionId] = row;
+      });
+      res.peerReviews.forEach(row => peerReviews.push(row));
+
+      highWater[courseId] = (res.latest && res.latest > since ? res.latest : since).toISOString();
+    } catch (e) {
+      Logger.log('fetchCourseSubmissions error ' + courseId + ': ' + e.message);
+      recordRunError_(e, courseId);
+    }
+  });
+
+  for (const id in seen) all.push(seen[id]);
+  all.sort((a, b) => b.submittedDate - a.submittedDate);
+
+  // Peer reviews follow the submissions; they are not graded, so History skips them.
+  const shown = (settings.showOnlyUngraded ? all.filter(row => !row.isGraded) : all).concat(
+    peerReviews
+  );
+  return { submissions: shown, all: all, highWater: highWater };
+}
+
+/**
+ * Script Properties key for per-course high-water marks ({ courseId: ISO submitted_at }).
+ */
+const HIGH_WATER_KEY = 'SUBMISSION_HIGH_WATER';
+
+function loadHighWaterMarks_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(HIGH_WATER_KEY);
+  return raw ? JSON.parse(raw) : {};
+}
+
+/**
+ * Merge new marks into the stored ones, dropping courses no longer configured.
+ */
+function saveHighWaterMarks_(settings, marks) {
+  const merged = {};
+  const previous = loadHighWaterMarks_();
+  settings.courseIds.forEach(id => {
+    const mark = marks[id] || previous[id];
+    if (mark) merged[id] = mark;
+  });
+  PropertiesService.getScriptProperties().setProperty(HIGH_WATER_KEY, JSON.stringify(merged));
+}
+
+/**
+ * Forget the high-water marks so the next refresh falls back to "Hours to Look Back".
+ * Called from Canvas Hub → Reset Refresh History.
+ */
+function resetRefreshHistory() {
+  const ui = SpreadsheetApp.getUi();
+  const btn = ui.alert(
+    'Reset Refresh History',
+    'The next refresh will look back "Hours to Look Back" hours for every course, ' +
+      'which may show submissions already listed on older Day tabs.\n\nContinue?',
+    ui.ButtonSet.YES_NO
+  );
+  if (btn !== ui.Button.YES) return;
+
+  PropertiesService.getScriptProperties().deleteProperty(HIGH_WATER_KEY);
+  ui.alert('Refresh history cleared.');
+}
+
+/**
+ * Get Canvas course name.
+ */
+function getCourseName_(settings, courseId) {
+  return withCache_(settings, 'names', courseId, () => {
+    const course = canvasFetch_(
+      settings,
+      '/api/v1/courses/' + courseId,
+      { method: 'get' },
+      'fetching course ' + courseId
+    );
+    return course && course.name ? course.name : 'Course ' + courseId;
+  });
+}
+
+/**
+ * Submissions for a single course made after `cutoff`, plus every quiz attempt
+ * still in pending_review however old (flagged isOutstanding).
+ * Uses the course-level submissions endpoint (one paginated call per course)
+ * instead of polling each assignment. `roster` (from getCourseStudents_)
+ * supplies section names, and drops students outside a section-limited course.
+ * Returns { rows, latest, peerReviews } where latest is the newest submitted_at
+ * seen (or null) and peerReviews lists outstanding peer reviews (see
+ * fetchOutstandingPeerReviews_), which do not move the high-water mark.
+ */
+function fetchCourseSubmissions_(settings, courseId, courseName, cutoff, roster) {
+  const arr =
+    canvasFetchAll_(
+      settings,
+      '/api/v1/courses/' +
+        courseId +
+        '/students/submissions?student_ids[]=all' +
+        '&submitted_since=' +
+        encodeURIComponent(cutoff.toISOString()) +
+        '&include[]=user&include[]=assignment&per_page=100',
+      { method: 'get' },
+      'fetching recent submissions for course ' + courseId
+    ) || [];
+
+  const byUser = {};
+  (roster || []).forEach(stu => {
+    byUser[stu.id] = stu;
+  });
+  const limited = !!settings.courseSections[courseId];
+
+  const out = [];
+  let latest = null;
+  arr.forEach(s => {
+    if (s.submitted_at) {
+      const at = new Date(s.submitted_at);
+      if (!latest || at > latest) latest = at;
+    }
+
+    const stu = byUser[s.user_id];
+    if (limited && !stu) return;
+
+    const row = toDashboardSubmission_(settings, s, courseId, courseName, cutoff);
+    if (!row) return;
+    row.sectionName = stu && !row.isAnonymous ? stu.sectionName : '';
+    out.push(row);
+  });
+
+  const listed = {};
+  arr.forEach(s => {
+    listed[s.id] = true;
+  });
+  fetchPendingReviewSubmissions_(settings, courseId).forEach(s => {
+    if (listed[s.id]) return;
+    const stu = byUser[s.user_id];
+    if (limited && !stu) return;
+
+    const row = toDashboardSubmission_(settings, s, courseId, courseName, new Date(0));
+    if (!row) return;
+    row.sectionName = stu && !row.isAnonymous ? stu.sectionName : '';
+    row.isOutstanding = true;
+    out.push(row);
+  });
+
+  return {
+    rows: out,
+    latest: latest,
+    peerReviews: fetchOutstandingPeerReviews_(settings, courseId, courseName, roster)
+  };
+}
+
+/**
+ * Quiz attempts (classic and New Quizzes) waiting for hand grading, regardless
+ * of the high-water mark. A failure is logged and yields no rows.
+ */
+function fetchPendingReviewSubmissions_(settings, courseId) {
+  try {
+    return (
+      canvasFetchAll_(
+        settings,
+        '/api/v1/courses/' +
+          courseId +
+          '/students/submissions?student_ids[]=all&workflow_state=pending_review' +
+          '&include[]=user&include[]=assignment&per_page=100',
+        { method: 'get' },
+        'fetching quiz attempts needing review for course ' + courseId
+      ) || []
+    );
+  } catch (e) {
+    Logger.log('Failed to fetch pending_review submissions for ' + courseId + ': ' + e.message);
+    recordRunError_(e, courseId);
+    return [];
+  }
+}
+
+/**
+ * Assignments for a course (cached per course and query).
+ */
+function getAssignments_(settings, courseId, extraQuery, throwOnError) {
+  try {
+    return withCache_(
+      settings,
+      'assignments',
+      courseId + (extraQuery || ''),
+      () =>
+        canvasFetchAll_(
+          settings,
+          '/api/v1/courses/' + courseId + '/assignments?per_page=100' + (extraQuery || ''),
+          { method: 'get' },
+          'fetching assignments for course ' + courseId
+        ) || []
+    );
+  } catch (e) {
+    if (throwOnError) throw e;
+    Logger.log('Failed to fetch assignments for course ' + courseId + ': ' + e.message);
+    recordRunError_(e, courseId);
+    return [];
+  }
+}
+
+/**
+ * Convert one Canvas submission into a Day tab row object, or null when it was
+ * not submitted strictly after `cutoff`.
+ */
+function toDashboardSubmission_(settings, s, courseId, courseName, cutoff) {
+  if (!s.submitted_at || s.workflow_state === 'unsubmitted') return null;
+
+  const submittedDate = new Date(s.submitted_at);
+  if (submittedDate <= cutoff) return null;
+
+  const asmt = s.assignment || {};
+  const anonymous = isAnonymousGrading_(asmt);
+  let studentName = s.user
+    ? s.user.name || s.user.sortable_name || 'Unknown Student'
+    : 'Unknown Student';
+  if (anonymous) studentName = anonymousStudentName_(s.anonymous_id);
+
+  const assignmentName = assignmentLabel_(
+    asmt.name ? asmt : Object.assign({ name: 'Assignment ' + s.assignment_id }, asmt)
+  );
+  const link = speedGraderUrl_(settings, courseId, s.assignment_id, s, anonymous);
+  const deepLink = submissionDeepLink_(settings, courseId, asmt, link, anonymous);
+  const kind = assignmentKind_(asmt);
+  const due = s.cached_due_date || asmt.due_at;
+  const points = asmt.points_possible;
+  // Canvas clears grade_matches_current_submission when work comes in after grading.
+  let resubmitted = '';
+  if (s.attempt > 1) resubmitted = s.grade_matches_current_submission === false ? 'Regrade' : 'Yes';
+
+  return {
+    submissionId: s.id,
+    key: submissionKey_(courseId, s.assignment_id, submissionKeyUser_(s, anonymous)),
+    courseId: courseId,
+    assignmentId: s.assignment_id,
+    userId: anonymous ? '' : s.user_id,
+    isAnonymous: anonymous,
+    studentName: studentName,
+    courseName: courseName,
+    assignmentName: assignmentName,
+    submittedDate: submittedDate,
+    isLate: !!s.late,
+    isGraded: s.workflow_state === 'graded',
+    score: s.score === null || s.score === undefined ? '' : s.score,
+    speedGraderUrl: link,
+    linkUrl: deepLink.url,
+    linkLabel: deepLink.label,
+    // Quiz attempts with essay / file questions wait in pending_review until graded by hand.
+    type: kind + (s.workflow_state === 'pending_review' ? ' (Needs Review)' : ''),
+    attempt: s.attempt || '',
+    resubmitted: resubmitted,
+    dueDate: due ? new Date(due) : '',
+    daysLate: s.late && s.seconds_late > 0 ? Math.round(s.seconds_late / 8640) / 10 : '',
+    pointsPossible: points === null || points === undefined ? '' : points,
+    submissionType: SUBMISSION_TYPE_LABELS[s.submission_type] || s.submission_type || ''
+  };
+}
+
+/**
+ * Friendly names for Canvas submission_type values.
+ */
+const SUBMISSION_TYPE_LABELS = {
+  online_upload: 'File Upload',
+  online_text_entry: 'Text Entry',
+  online_url: 'Website URL',
+  online_quiz: 'Quiz',
+  discussion_topic: 'Discussion',
+  media_recording: 'Media Recording',
+  student_annotation: 'Annotation',
+  basic_lti_launch: 'External Tool'
+};
+
+/**
+ * Key prefix marking the user part of a submission key as a Canvas anonymous_id.
+ */
+const ANONYMOUS_KEY_PREFIX = 'anon-';
+
+/**
+ * Key prefix for outstanding peer review rows: "peer-<assessorId>-<submissionId>".
+ */
+const PEER_REVIEW_KEY_PREFIX = 'peer-';
+
+/**
+ * Peer reviews are listed for assignments that came due within this many days.
+ */
+const PEER_REVIEW_WINDOW_DAYS = 14;
+
+/**
+ * Kind of work an assignment collects, shown in the Day tab's Type column:
+ * Discussion, Classic Quiz, New Quiz (a Quizzes LTI assignment) or Assignment.
+ */
+function assignmentKind_(asmt) {
+  const types = asmt.submission_types || [];
+  const toolUrl = (asmt.external_tool_tag_attributes || {}).url || '';
+  if (types.indexOf('discussion_topic') >= 0) return 'Discussion';
+  if (types.indexOf('online_quiz') >= 0 || asmt.quiz_id) return 'Classic Quiz';
+  if (asmt.is_quiz_lti_assignment || /quiz-lti|quiz_lti/i.test(toolUrl)) return 'New Quiz';
+  return 'Assignment';
+}
+
+/**
+ * Where a Day tab row's link goes: the discussion for graded discussions, the
+ * quiz moderation page for classic quizzes, otherwise `speedGraderUrl`.
+ * Anonymous grading always uses SpeedGrader, the only page that hides names.
+ * Returns { url, label }.
+ */
+function submissionDeepLink_(settings, courseId, asmt, speedGraderUrl, anonymous) {
+  const course = 'https://' + settings.baseUrl + '/courses/' + courseId;
+  const kind = assignmentKind_(asmt);
+  const topicId = asmt.discussion_topic && asmt.discussion_topic.id;
+
+  if (!anonymous && kind === 'Discussion' && topicId) {
+    return { url: course + '/discussion_topics/' + topicId, label: 'Open Discussion' };
+  }
+  if (!anonymous && kind === 'Classic Quiz' && asmt.quiz_id) {
+    return { url: course + '/quizzes/' + asmt.quiz_id + '/moderate', label: 'Moderate Quiz' };
+  }
+  return { url: speedGraderUrl, label: 'View Submission' };
+}
+
+/**
+ * Outstanding peer reviews (assigned but not completed) for a course's
+ * peer-reviewed assignments that came due in the last PEER_REVIEW_WINDOW_DAYS,
+ * as Day tab rows for the reviewing student. Each refresh lists those not
+ * already on a Day tab until the student completes the review; they are never
+ * graded or synced.
+ * `roster` drops reviewers outside a section-limited course.
+ */
+function fetchOutstandingPeerReviews_(settings, courseId, courseName, roster) {
+  const now = Date.now();
+  const since = now - PEER_REVIEW_WINDOW_DAYS * 24 * 60 * 60 * 1000;
+  const byUser = {};
+  (roster || []).forEach(stu => {
+    byUser[stu.id] = stu;
+  });
+  const limited = !!settings.courseSections[courseId];
+
+  const out = [];
+  getAssignments_(settings, courseId).forEach(asmt => {
+    if (!asmt.peer_reviews || asmt.published === false) return;
+    const due = effectiveDueDate_(asmt, null);
+    if (!due || due.getTime() > now || due.getTime() < since) return;
+
+    let reviews;
+    try {
+      reviews =
+        canvasFetchAll_(
+          settings,
+          '/api/v1/courses/' +
+            courseId +
+            '/assignments/' +
+            asmt.id +
+            '/peer_reviews?include[]=user&per_page=100',
+          { method: 'get' },
+          'fetching peer reviews for assignment ' + asmt.id
+        ) || [];
+    } catch (e) {
+      Logger.log('Failed to fetch peer reviews for assignment ' + asmt.id + ': ' + e.message);
+      recordRunError_(e, courseId, asmt.id);
+      return;
+    }
+
+    const reviewsUrl =
+      'https://' + settings.baseUrl + '/courses/' + courseId + '/assignments/' + asmt.id;
+    reviews.forEach(r => {
+      if (r.workflow_state !== 'assigned') return;
+      const stu = byUser[r.assessor_id];
+      if (limited && !stu) return;
+
+      const assessor = r.assessor || {};
+      out.push({
+        submissionId: '',
+        key: submissionKey_(
+          courseId,
+          asmt.id,
+          PEER_REVIEW_KEY_PREFIX + r.assessor_id + '-' + r.asset_id
+        ),
+        courseId: courseId,
+        assignmentId: asmt.id,
+        userId: r.assessor_id,
+        studentName:
+          assessor.display_name || assessor.name || (stu ? stu.name : 'Unknown Student'),
+        courseName: courseName,
+        sectionName: stu ? stu.sectionName : '',
+        assignmentName: assignmentLabel_(asmt),
+        submittedDate: due,
+        submittedText: 'Review not done (due ' + getTimeAgo_(due) + ')',
+        isLate: false,
+        isGraded: false,
+        isPeerReview: true,
+        score: '',
+        speedGraderUrl: '',
+        linkUrl: reviewsUrl + '/peer_reviews',
+        linkLabel: 'Peer Reviews',
+        type: 'Peer Review',
+        attempt: '',
+        resubmitted: '',
+        dueDate: due,
+        daysLate: '',
+        pointsPossible: '',
+        submissionType: ''
+      });
+    });
+  });
+  return out;
+}
+
+/**
+ * Anonymous grading hides who submitted from graders, so rows for these
+ * assignments use the submission's anonymous_id instead of a name, user id or section.
+ */
+function isAnonymousGrading_(asmt) {
+  return !!(asmt && (asmt.anonymous_grading || asmt.anonymize_students));
+}
+
+function anonymousStudentName_(anonymousId) {
+  return anonymousId ? 'Anonymous ' + anonymousId : 'Anonymous student';
+}
+
+/**
+ * Assignment name as shown on the Day and Missing tabs. Moderated assignments
+ * are marked because a provisional grader's score is not the final grade.
+ */
+function assignmentLabel_(asmt) {
+  return asmt.name + (asmt.moderated_grading ? ' [Moderated]' : '');
+}
+
+/**
+ * User part of a submission key: the user id, or "anon-<anonymous_id>" for anonymous grading.
+ */
+function submissionKeyUser_(sub, anonymous) {
+  return anonymous && sub.anonymous_id ? ANONYMOUS_KEY_PREFIX + sub.anonymous_id : sub.user_id;
+}
+
+/**
+ * SpeedGrader link for one student's submission. Anonymous assignments link
+ * by anonymous_id; without one (no submission yet) the link opens the assignment.
+ */
+function speedGraderUrl_(settings, courseId, assignmentId, sub, anonymous) {
+  const base =
+    'https://' +
+    settings.baseUrl +
+    '/courses/' +
+    courseId +
+    '/gradebook/speed_grader?assignment_id=' +
+    assignmentId;
+  if (!anonymous) return base + '&student_id=' + sub.user_id;
+  return sub && sub.anonymous_id ? base + '&anonymous_id=' + sub.anonymous_id : base;
+}
+
+/**
+ * Rotate Day 1–5 tabs and create a fresh Day 1 with `columns` (see getDayColumns_).
+ * Day 5's rows are archived before the tab is deleted.
+ */
+function rotateDayTabs_(columns) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const day5 = ss.getSheetByName('Day 5');
+  if (day5) {
+    archiveDayTab_(day5);
+    ss.deleteSheet(day5);
+  }
+
+  for (let i = 4; i >= 1; i--) {
+    const sh = ss.getSheetByName('Day ' + i);
+    if (sh) sh.setName('Day ' + (i + 1));
+  }
+
+  const day1 = ss.insertSheet('Day 1', 0);
+  setupDayTabTemplate_(day1, columns);
+}
+
+/**
+ * Developer-metadata key holding the yyyy-MM-dd a Day tab was created for.
+ */
+const DAY_DATE_METADATA_KEY = 'canvasHubDayDate';
+
+function todayKey_() {
+  return Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+}
+
+/**
+ * True when `sheet` is a Day tab created today (a re-run should add to it, not rotate).
+ */
+function isDayTabFromToday_(sheet) {
+  if (!sheet) return false;
+  const meta = sheet.getDeveloperMetadata().filter(m => m.getKey() === DAY_DATE_METADATA_KEY);
+  return meta.length > 0 && meta[0].getValue() === todayKey_();
+}
+
+/**
+ * Archive sheet that receives Day 5's rows when it rotates out.
+ */
+const ARCHIVE_SHEET_NAME = 'Day Archive';
+const ARCHIVE_COLUMNS = [
+  'Archived On',
+  'Day Tab Updated',
+  'Graded?',
+  'Student Name',
+  'Class',
+  'Assignment',
+  'Submitted',
+  'Link',
+  'Score',
+  'Notes',
+  'Key'
+];
+
+/**
+ * Append a Day tab's rows (matched by header, so older layouts work) to the archive.
+ */
+function archiveDayTab_(sheet) {
+  const last = sheet.getLastRow();
+  if (last < DAY_FIRST_ROW) return;
+
+  const cols = getHeaderMap_(sheet, DAY_HEADER_ROW);
+  const range = sheet.getRange(DAY_FIRST_ROW, 1, last - DAY_FIRST_ROW + 1, sheet.getLastColumn());
+  const values = range.getValues();
+  const formulas = range.getFormulas();
+  const archivedOn = new Date();
+  const tabUpdated = sheet.getRange('B2').getValue();
+
+  const rows = [];
+  values.forEach((row, i) => {
+    if (!cols['Student Name'] || !row[cols['Student Name'] - 1]) return;
+    rows.push(
+      ARCHIVE_COLUMNS.map(h => {
+        if (h === 'Archived On') return archivedOn;
+        if (h === 'Day Tab Updated') return tabUpdated;
+        const c = cols[h];
+        if (!c) return '';
+        return formulas[i][c - 1] || row[c - 1];
+      })
+    );
+  });
+  if (rows.length === 0) return;
+
+  const archive = getArchiveSheet_();
+  archive
+    .getRange(archive.getLastRow() + 1, 1, rows.length, ARCHIVE_COLUMNS.length)
+    .setValues(rows);
+}
+
+/**
+ * Get (or create) the Day Archive sheet.
+ */
+function getArchiveSheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sh = ss.getSheetByName(ARCHIVE_SHEET_NAME);
+  if (sh) return sh;
+
+  sh = ss.insertSheet(ARCHIVE_SHEET_NAME);
+  sh.getRange(1, 1, 1, ARCHIVE_COLUMNS.length).setValues([ARCHIVE_COLUMNS]);
+  sh
+    .getRange(1, 1, 1, ARCHIVE_COLUMNS.length)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#7F7F7F')
+    .setHorizontalAlignment('center');
+  sh.setFrozenRows(1);
+  return sh;
+}
+
+/**
+ * Day tab layout. Headers live in row 4 and data starts in row 5.
+ * Code that reads a Day tab back (Sync Grades) locates columns by header text.
+ * Hidden columns: Key = "courseId:assignmentId:userId" (userId is
+ * "anon-<anonymous_id>" for anonymous grading), Canvas Score = last score seen
+ * in Canvas (used to tell sheet edits from Canvas edits),
+ * Submitted At = exact submitted_at (tells a resubmission from the same attempt).
+ * Optional columns only appear when listed in the "Extra Day Columns" setting.
+ */
+const DAY_HEADER_ROW = 4;
+const DAY_FIRST_ROW = 5;
+const DAY_TAB_COLUMNS = [
+  { header: 'Graded?', width: 70, value: s => s.isGraded },
+  { header: 'Student Name', width: 150, value: s => s.studentName },
+  { header: 'Class', width: 220, value: s => s.courseName },
+  { header: 'Section', width: 140, value: s => s.sectionName || '' },
+  { header: 'Assignment', width: 220, value: s => s.assignmentName },
+  { header: 'Type', width: 120, value: s => s.type },
+  {
+    header: 'Submitted',
+    width: 150,
+    value: s => s.submittedText || getTimeAgo_(s.submittedDate) + (s.isLate ? ' (LATE)' : '')
+  },
+  { header: 'Attempt', width: 70, optional: true, value: s => s.attempt },
+  { header: 'Resubmitted', width: 100, optional: true, value: s => s.resubmitted },
+  {
+    header: 'Due Date',
+    width: 140,
+    optional: true,
+    format: 'M/d/yyyy h:mm am/pm',
+    value: s => s.dueDate
+  },
+  { header: 'Days Late', width: 80, optional: true, value: s => s.daysLate },
+  { header: 'Submission Type', width: 130, optional: true, value: s => s.submissionType },
+  {
+    header: 'Link',
+    width: 130,
+    value: s => '=HYPERLINK("' + s.linkUrl + '","' + s.linkLabel + '")'
+  },
+  { header: 'Score', width: 70, value: s => s.score },
+  { header: 'Points Possible', width: 90, optional: true, value: s => s.pointsPossible },
+  { header: 'Comment', width: 200, value: () => '' },
+  { header: 'Sync Status', width: 180, value: () => '' },
+  { header: 'Notes', width: 250, value: s => s.notes || '' },
+  { header: 'Key', width: 120, hidden: true, value: s => s.key },
+  { header: 'Canvas Score', width: 80, hidden: true, value: s => s.score },
+  { header: 'Submitted At', width: 150, hidden: true, value: s => s.submittedDate }
+];
+
+/**
+ * "courseId:assignmentId:userId" – identifies one student's submission across tabs.
+ */
+function submissionKey_(courseId, assignmentId, userId) {
+  return courseId + ':' + assignmentId + ':' + userId;
+}
+
+/**
+ * "Extra Day Columns" text → { headers: optional headers in layout order, unknown: [names] }.
+ */
+function parseExtraDayColumns_(text) {
+  const optional = DAY_TAB_COLUMNS.filter(c => c.optional).map(c => c.header);
+  const names = String(text || '')
+    .split(',')
+    .map(n => n.trim())
+    .filter(Boolean);
+  if (names.some(n => n.toLowerCase() === 'all')) return { headers: optional, unknown: [] };
+
+  const wanted = names.map(n => n.toLowerCase());
+  return {
+    headers: optional.filter(h => wanted.indexOf(h.toLowerCase()) >= 0),
+    unknown: names.filter(n => !optional.some(h => h.toLowerCase() === n.toLowerCase()))
+  };
+}
+
+/**
+ * The Day tab columns for these settings: every fixed column plus the chosen optional ones.
+ */
+function getDayColumns_(settings) {
+  return DAY_TAB_COLUMNS.filter(
+    c => !c.optional || settings.extraDayColumns.indexOf(c.header) >= 0
+  );
+}
+
+/**
+ * 1-based column index of a header within `columns`.
+ */
+function dayColumn_(header, columns) {
+  for (let i = 0; i < columns.length; i++) {
+    if (columns[i].header === header) return i + 1;
+  }
+  throw new Error('Unknown Day tab column: ' + header);
+}
+
+/**
+ * True when a Day tab's header row matches `columns`. Rows are written by
+ * position, so a tab from another layout is rotated rather than appended to.
+ */
+function isCurrentDayLayout_(sheet, columns) {
+  if (!sheet || sheet.getLastColumn() < columns.length) return false;
+  const headers = sheet.getRange(DAY_HEADER_ROW, 1, 1, columns.length).getValues()[0];
+  return columns.every((c, i) => headers[i] === c.header);
+}
+
+/**
+ * Configure header + columns for a Day tab.
+ */
+function setupDayTabTemplate_(sheet, columns) {
+  const visible = columns.filter(c => !c.hidden).length;
+
+  sheet.getRange(1, 1, 1, visible).merge();
+  sheet
+    .getRange('A1')
+    .setValue('CANVAS GRADING DASHBOARD')
+    .setFontSize(14)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#4472C4')
+    .setHorizontalAlignment('center')
+    .setVerticalAlignment('middle');
+  sheet.setRowHeight(1, 25);
+
+  const now = new Date();
+  const dateStr = Utilities.formatDate(now, Session.getScriptTimeZone(), 'M/d/yyyy h:mm a');
+
+  sheet.getRange('A2').setValue('Last Updated:').setFontWeight('bold');
+  sheet.getRange('B2').setValue(dateStr);
+
+  sheet.getRange('D2').setValue('Ungraded:').setFontWeight('bold');
+  sheet.getRange('E2').setValue(0).setFontWeight('bold').setFontColor('#FF0000');
+
+  sheet.getRange('F2').setValue('Graded:').setFontWeight('bold');
+  sheet.getRange('G2').setValue(0).setFontWeight('bold').setFontColor('#008000');
+
+  const headers = columns.map(c => c.header);
+  sheet.getRange(DAY_HEADER_ROW, 1, 1, headers.length).setValues([headers]);
+  sheet
+    .getRange(DAY_HEADER_ROW, 1, 1, headers.length)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#70AD47')
+    .setHorizontalAlignment('center')
+    .setVerticalAlignment('middle');
+
+  columns.forEach((c, i) => {
+    sheet.setColumnWidth(i + 1, c.width);
+    if (c.hidden) sheet.hideColumns(i + 1);
+  });
+
+  sheet.addDeveloperMetadata(DAY_DATE_METADATA_KEY, todayKey_());
+}
+
+/**
+ * Fill Day 1 with rows + checkboxes + late highlighting + stats.
+ * New rows go on top, so a same-day re-run keeps the morning's rows below them.
+ * Notes (and Graded? for the same attempt) carry forward from any Day tab.
+ */
+function populateDayTab_(submissions, settings) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const day1 = ss.getSheetByName('Day 1');
+  if (!day1) throw new Error('Day 1 tab not found!');
+
+  applyCarriedDayState_(submissions, collectDayTabState_());
+  removeDayRowsByKey_(day1, submissions.map(s => s.key));
+
+  const columns = getDayColumns_(settings);
+  const rows = submissions.map(s => columns.map(c => c.value(s)));
+  const startRow = DAY_FIRST_ROW;
+
+  if (rows.length > 0) {
+    if (day1.getLastRow() >= startRow) {
+      day1.insertRowsBefore(startRow, rows.length);
+      day1.getRange(startRow, 1, rows.length, columns.length).clearFormat();
+    }
+
+    // setValues writes the HYPERLINK strings as formulas.
+    day1.getRange(startRow, 1, rows.length, columns.length).setValues(rows);
+
+    // Graded? checkboxes
+    day1.getRange(startRow, dayColumn_('Graded?', columns), rows.length, 1).insertCheckboxes();
+
+    // SpeedGrader links
+    day1
+      .getRange(startRow, dayColumn_('Link', columns), rows.length, 1)
+      .setHorizontalAlignment('center')
+      .setFontColor('#0B5394');
+
+    // Date columns
+    columns.forEach((c, i) => {
+      if (c.format) day1.getRange(startRow, i + 1, rows.length, 1).setNumberFormat(c.format);
+    });
+
+    // Late highlighting (optional), one array per format for the whole column.
+    if (settings.highlightLate) {
+      const late = (on, off) => submissions.map(s => [s.isLate ? on : off]);
+      day1
+        .getRange(startRow, dayColumn_('Submitted', columns), rows.length, 1)
+        .setBackgrounds(late('#FFFF00', null))
+        .setFontColors(late('#FF0000', null))
+        .setFontWeights(late('bold', null));
+    }
+  }
+
+  day1
+    .getRange('B2')
+    .setValue(Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'M/d/yyyy h:mm a'));
+  updateDayTabStats_(day1);
+  setDayTabWarning_(day1);
+}
+
+/**
+ * Header warning (I2) when the last refresh skipped a course or assignment;
+ * cleared again by a clean refresh.
+ */
+function setDayTabWarning_(sheet) {
+  const cell = sheet.getRange('I2');
+  if (!CANVAS_RUN_ERRORS_.length) {
+    cell.clearContent();
+    return;
+  }
+
+  const courses = {};
+  CANVAS_RUN_ERRORS_.forEach(e => {
+    if (e.courseId) courses[e.courseId] = true;
+  });
+  const ids = Object.keys(courses);
+  cell
+    .setValue(
+      '⚠ Incomplete: Canvas errors' +
+        (ids.length ? ' (course ' + ids.join(', ') + ')' : '') +
+        ' – see the "' +
+        RUN_LOG_SHEET_NAME +
+        '" tab'
+    )
+    .setFontWeight('bold')
+    .setFontColor('#C00000');
+}
+
+/**
+ * Teacher-entered state from every Day tab, keyed by submission key.
+ * Tabs are read oldest first so the newest non-blank Notes win.
+ * @return {Object<string, {graded: boolean, notes: string, submittedAt: (Date|string)}>}
+ */
+function collectDayTabState_() {
+  const state = {};
+
+  getDayTabs_()
+    .reverse()
+    .forEach(sheet => {
+      const cols = getHeaderMap_(sheet, DAY_HEADER_ROW);
+      const last = sheet.getLastRow();
+      if (!cols['Key'] || last < DAY_FIRST_ROW) return;
+
+      const data = sheet
+        .getRange(DAY_FIRST_ROW, 1, last - DAY_FIRST_ROW + 1, sheet.getLastColumn())
+        .getValues();
+      const cell = (row, h) => (cols[h] ? row[cols[h] - 1] : '');
+
+      data.forEach(row => {
+        const key = cell(row, 'Key');
+        if (!key) return;
+
+        const prev = state[key] || {};
+        const notes = cell(row, 'Notes');
+        state[key] = {
+          graded: cell(row, 'Graded?') === true,
+          notes: notes !== '' ? notes : prev.notes || '',
+          submittedAt: cell(row, 'Submitted At')
+        };
+      });
+    });
+
+  return state;
+}
+
+/**
+ * Copy carried-forward Notes / Graded? onto freshly fetched submission objects.
+ * Graded? only carries when it is the same attempt (same submitted_at).
+ */
+function applyCarriedDayState_(submissions, state) {
+  submissions.forEach(s => {
+    const st = state[s.key];
+    if (!st) return;
+
+    s.notes = st.notes;
+    const sameAttempt =
+      st.submittedAt instanceof Date && st.submittedAt.getTime() === s.submittedDate.getTime();
+    if (st.graded && sameAttempt) s.isGraded = true;
+  });
+}
+
+/**
+ * Delete Day tab rows whose Key is in `keys` (a same-day re-run replaces them).
+ */
+function removeDayRowsByKey_(sheet, keys) {
+  const cols = getHeaderMap_(sheet, DAY_HEADER_ROW);
+  const last = sheet.getLastRow();
+  if (!cols['Key'] || last < DAY_FIRST_ROW || keys.length === 0) return;
+
+  const wanted = new Set(keys);
+  const existing = sheet
+    .getRange(DAY_FIRST_ROW, cols['Key'], last - DAY_FIRST_ROW + 1, 1)
+    .getValues();
+
+  // Bottom-up so row numbers stay valid; each contiguous run is one deleteRows call.
+  let end = -1;
+  for (let i = existing.length - 1; i >= -1; i--) {
+    const match = i >= 0 && wanted.has(existing[i][0]);
+    if (match && end < 0) end = i;
+    if (!match && end >= 0) {
+      sheet.deleteRows(DAY_FIRST_ROW + i + 1, end - i);
+      end = -1;
+    }
+  }
+}
+
+/**
+ * Every Key on Day 1–5, as a Set.
+ */
+function getDayTabKeys_() {
+  const keys = new Set();
+  getDayTabs_().forEach(sheet => {
+    const col = getHeaderMap_(sheet, DAY_HEADER_ROW)['Key'];
+    const last = sheet.getLastRow();
+    if (!col || last < DAY_FIRST_ROW) return;
+    sheet
+      .getRange(DAY_FIRST_ROW, col, last - DAY_FIRST_ROW + 1, 1)
+      .getValues()
+      .forEach(r => {
+        if (r[0]) keys.add(r[0]);
+      });
+  });
+  return keys;
+}
+
+/**
+ * Recount the Ungraded / Graded header cells from the Graded? checkboxes.
+ * Outstanding peer reviews are not graded work and are left out.
+ */
+function updateDayTabStats_(sheet) {
+  const last = sheet.getLastRow();
+  let graded = 0;
+  let ungraded = 0;
+
+  const cols = getHeaderMap_(sheet, DAY_HEADER_ROW);
+  const col = cols['Graded?'];
+  if (col && last >= DAY_FIRST_ROW) {
+    const values = sheet
+      .getRange(DAY_FIRST_ROW, 1, last - DAY_FIRST_ROW + 1, sheet.getLastColumn())
+      .getValues();
+    values.forEach(r => {
+      if (cols['Type'] && r[cols['Type'] - 1] === 'Peer Review') return;
+      if (r[col - 1] === true) graded++;
+      else if (r[col - 1] === false) ungraded++;
+    });
+  }
+
+  sheet.getRange('E2').setValue(ungraded);
+  sheet.getRange('G2').setValue(graded);
+}
+
+/**
+ * Escape text for HTML bodies and attribute values.
+ */
+function escapeHtml_(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Human-friendly "time ago" string.
+ */
+function getTimeAgo_(date) {
+  const now = new Date();
+  const diffMs = now - date;
+  const mins = Math.floor(diffMs / 60000);
+  const hrs = Math.floor(diffMs / 3600000);
+  const days = Math.floor(diffMs / 86400000);
+
+  if (mins < 60) return mins === 1 ? '1 minute ago' : mins + ' minutes ago';
+  if (hrs < 24) return hrs === 1 ? '1 hour ago' : hrs + ' hours ago';
+  if (days === 1) return '1 day ago';
+  return days + ' days ago';
+}
+
+/***************************************************************
+ * GRADE SYNC (DAY TABS ↔ CANVAS)
+ ***************************************************************/
+
+/**
+ * Re-read every Day tab row from Canvas: tick Graded?, refresh Score, and
+ * (when "Push Grades to Canvas?" is Yes) post sheet-typed scores and comments.
+ * A score changed both in the sheet and in Canvas since the last sync is
+ * flagged as a conflict instead of being overwritten.
+ * Called from Canvas Hub → Sync Grades with Canvas.
+ */
+function syncGrades() {
+  Logger.log('=== Starting Grade Sync ===');
+  resetCanvasFetchStats_();
+
+  try {
+    const settings = getSettings();
+    const cache = {};
+    const totals = { rows: 0, newlyGraded: 0, scoresPosted: 0, commentsPosted: 0, conflicts: 0 };
+
+    getDayTabs_().forEach(sheet => syncDayTab_(settings, sheet, cache, totals));
+    updateGradingHistory_(settings, []);
+    refreshGradingQueue_(settings, cache);
+
+    Logger.log(describeCanvasFetchStats_());
+    Logger.log('=== Grade Sync Complete ===');
+    hubAlert_(
+      'Grade sync complete.\n\n' +
+        'Rows checked: ' +
+        totals.rows +
+        '\nNewly graded in Canvas: ' +
+        totals.newlyGraded +
+        '\nScores posted to Canvas: ' +
+        totals.scoresPosted +
+        '\nComments posted to Canvas: ' +
+        totals.commentsPosted +
+        '\nConflicts to review: ' +
+        totals.conflicts +
+        (totals.conflicts ? '\n\nSee the "Sync Status" column for details.' : '') +
+        retryNote_()
+    );
+  } catch (err) {
+    Logger.log('ERROR in syncGrades: ' + err.message);
+    hubAlert_('Error: ' + err.message);
+  }
+}
+
+/**
+ * Existing Day 1–5 sheets, newest first.
+ */
+function getDayTabs_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const out = [];
+  for (let i = 1; i <= 5; i++) {
+    const sh = ss.getSheetByName('Day ' + i);
+    if (sh) out.push(sh);
+  }
+  return out;
+}
+
+/**
+ * Map of header text → 1-based column index for one header row.
+ */
+function getHeaderMap_(sheet, headerRow) {
+  const lastCol = sheet.getLastColumn();
+  const map = {};
+  if (lastCol < 1) return map;
+
+  sheet
+    .getRange(headerRow, 1, 1, lastCol)
+    .getValues()[0]
+    .forEach((h, i) => {
+      const key = (h || '').toString().trim();
+      if (key && !map[key]) map[key] = i + 1;
+    });
+  return map;
+}
+
+/**
+ * Split a "courseId:assignmentId:userId" key. For anonymous grading the user
+ * part is "anon-<anonymous_id>" and anonymousId is set; for an outstanding
+ * peer review it is "peer-<assessorId>-<submissionId>" and peerReview is true.
+ */
+function parseSubmissionKey_(key) {
+  const parts = key.toString().split(':');
+  if (parts.length !== 3) return null;
+  const anonymous = parts[2].indexOf(ANONYMOUS_KEY_PREFIX) === 0;
+  return {
+    courseId: parts[0],
+    assignmentId: parts[1],
+    userId: parts[2],
+    anonymousId: anonymous ? parts[2].slice(ANONYMOUS_KEY_PREFIX.length) : '',
+    peerReview: parts[2].indexOf(PEER_REVIEW_KEY_PREFIX) === 0
+  };
+}
+
+/**
+ * Sync one Day tab in place. Tabs created before the Key column existed are skipped.
+ */
+function syncDayTab_(settings, sheet, cache, totals) {
+  const cols = getHeaderMap_(sheet, DAY_HEADER_ROW);
+  const needed = ['Graded?', 'Score', 'Comment', 'Sync Status', 'Key', 'Canvas Score'];
+  if (needed.some(h => !cols[h])) {
+    Logger.log('Skipping ' + sheet.getName() + ': no sync columns (created by an older version).');
+    return;
+  }
+
+  const last = sheet.getLastRow();
+  if (last < DAY_FIRST_ROW) return;
+
+  const numRows = last - DAY_FIRST_ROW + 1;
+  const data = sheet.getRange(DAY_FIRST_ROW, 1, numRows, sheet.getLastColumn()).getValues();
+  const at = h => cols[h] - 1;
+  const statusColors = [];
+
+  data.forEach(row => {
+    const parts = row[at('Key')] ? parseSubmissionKey_(row[at('Key')]) : null;
+    if (!parts) {
+      statusColors.push([null]);
+      return;
+    }
+    if (parts.peerReview) {
+      row[at('Sync Status')] = 'Peer review – the student completes it in Canvas';
+      statusColors.push([null]);
+      return;
+    }
+
+    totals.rows++;
+    const found = getCanvasSubmissionForSync_(settings, parts, cache);
+    const rec = {
+      graded: row[at('Graded?')],
+      score: row[at('Score')],
+      comment: row[at('Comment')],
+      baseline: row[at('Canvas Score')],
+      moderated: !!found.moderated,
+      status: ''
+    };
+
+    let conflict = false;
+    if (found.error) {
+      rec.status = 'Canvas error: ' + found.error;
+    } else if (!found.submission) {
+      rec.status = 'Not found in Canvas';
+    } else {
+      conflict = reconcileSyncRow_(settings, parts, rec, found.submission, totals);
+    }
+
+    row[at('Graded?')] = rec.graded;
+    row[at('Score')] = rec.score;
+    row[at('Comment')] = rec.comment;
+    row[at('Canvas Score')] = rec.baseline;
+    row[at('Sync Status')] = rec.status;
+    statusColors.push([conflict ? '#F4CCCC' : null]);
+  });
+
+  ['Graded?', 'Score', 'Comment', 'Canvas Score', 'Sync Status'].forEach(h => {
+    sheet.getRange(DAY_FIRST_ROW, cols[h], numRows, 1).setValues(data.map(r => [r[at(h)]]));
+  });
+  sheet.getRange(DAY_FIRST_ROW, cols['Sync Status'], numRows, 1).setBackgrounds(statusColors);
+
+  updateDayTabStats_(sheet);
+}
+
+/**
+ * Look up one student's submission, fetching each assignment's submissions once per sync.
+ * Submissions are indexed by user id and by "anon-<anonymous_id>", matching either key form.
+ * Returns { submission, moderated } or { error }.
+ */
+function getCanvasSubmissionForSync_(settings, parts, cache) {
+  const groupKey = parts.courseId + ':' + parts.assignmentId;
+
+  if (!cache[groupKey]) {
+    try {
+      const byUser = {};
+      getAssignmentSubmissionsRaw_(settings, parts.courseId, parts.assignmentId, true).forEach(
+        s => {
+          byUser[s.user_id] = s;
+          if (s.anonymous_id) byUser[ANONYMOUS_KEY_PREFIX + s.anonymous_id] = s;
+        }
+      );
+      const asmt = getCachedAssignment_(settings, parts.courseId, parts.assignmentId, cache);
+      cache[groupKey] = { byUser: byUser, moderated: !!asmt.moderated_grading };
+    } catch (e) {
+      cache[groupKey] = { error: e.message.split('\n')[0] };
+    }
+  }
+
+  const entry = cache[groupKey];
+  if (entry.error) return { error: entry.error };
+  return { submission: entry.byUser[parts.userId] || null, moderated: entry.moderated };
+}
+
+/**
+ * Fill the getCanvasSubmissionForSync_ cache for many submissions at once:
+ * one course-level /students/submissions call per course (assignment ids in
+ * chunks of QUEUE_ASSIGNMENT_CHUNK) instead of one call per assignment.
+ * Assignments already in the cache are not fetched again.
+ */
+function prefetchCourseSubmissions_(settings, partsList, cache) {
+  const byCourse = {};
+  partsList.forEach(parts => {
+    const groupKey = parts.courseId + ':' + parts.assignmentId;
+    if (cache[groupKey]) return;
+    const ids = (byCourse[parts.courseId] = byCourse[parts.courseId] || []);
+    if (ids.indexOf(parts.assignmentId) < 0) ids.push(parts.assignmentId);
+  });
+
+  Object.keys(byCourse).forEach(courseId => {
+    const ids = byCourse[courseId];
+    for (let i = 0; i < ids.length; i += QUEUE_ASSIGNMENT_CHUNK) {
+      const chunk = ids.slice(i, i + QUEUE_ASSIGNMENT_CHUNK);
+      const byAssignment = {};
+      chunk.forEach(id => {
+        byAssignment[id] = {};
+      });
+
+      try {
+        canvasFetchAll_(
+          settings,
+          '/api/v1/courses/' +
+            courseId +
+            '/students/submissions?student_ids[]=all' +
+            chunk.map(id => '&assignment_ids[]=' + id).join('') +
+            '&per_page=100',
+          { method: 'get' },
+          'fetching queued submissions for course ' + courseId
+        ).forEach(s => {
+          const byUser = byAssignment[s.assignment_id];
+          if (!byUser) return;
+          byUser[s.user_id] = s;
+          if (s.anonymous_id) byUser[ANONYMOUS_KEY_PREFIX + s.anonymous_id] = s;
+        });
+      } catch (e) {
+        chunk.forEach(id => {
+          cache[courseId + ':' + id] = { error: e.message.split('\n')[0] };
+        });
+        continue;
+      }
+
+      chunk.forEach(id => {
+        try {
+          const asmt = getCachedAssignment_(settings, courseId, id, cache);
+          cache[courseId + ':' + id] = {
+            byUser: byAssignment[id],
+            moderated: !!asmt.moderated_grading
+          };
+        } catch (e) {
+          cache[courseId + ':' + id] = { error: e.message.split('\n')[0] };
+        }
+      });
+    }
+  });
+}
+
+/**
+ * One assignment from its course's assignment list, fetched once per sync.
+ * Throws when the list can't be fetched or lacks the assignment: without it
+ * a moderated assignment can't be told apart, so its scores must not be sent.
+ */
+function getCachedAssignment_(settings, courseId, assignmentId, cache) {
+  const listKey = 'assignments:' + courseId;
+  if (!cache[listKey]) {
+    const byId = {};
+    try {
+      getAssignments_(settings, courseId, '', true).forEach(a => {
+        byId[a.id] = a;
+      });
+      cache[listKey] = { byId: byId };
+    } catch (e) {
+      cache[listKey] = { error: e.message.split('\n')[0] };
+    }
+  }
+
+  const list = cache[listKey];
+  if (list.error) {
+    throw new Error('Could not look up assignment ' + assignmentId + ': ' + list.error);
+  }
+  if (!list.byId[assignmentId]) {
+    throw new Error('Assignment ' + assignmentId + ' not found in course ' + courseId);
+  }
+  return list.byId[assignmentId];
+}
+
+/**
+ * Reconcile one row record against its Canvas submission (mutates rec).
+ * Returns true when the row is in conflict.
+ */
+function reconcileSyncRow_(settings, parts, rec, canvas, totals) {
+  const notes = [];
+  const canvasScore = scoreText_(canvas.score);
+  const baseline = scoreText_(rec.baseline);
+  const sheetScore = scoreText_(rec.score);
+  const localEdit = sheetScore !== baseline;
+  const remoteEdit = canvasScore !== baseline;
+  const payload = {};
+  let conflict = false;
+
+  if (localEdit && remoteEdit && sheetScore !== canvasScore) {
+    conflict = true;
+    totals.conflicts++;
+    notes.push(
+      'CONFLICT: Canvas has ' +
+        (canvasScore || 'no score') +
+        ', sheet has ' +
+        (sheetScore || 'no score') +
+        ' (type the Canvas score here to accept it)'
+    );
+  } else if (localEdit && !remoteEdit) {
+    if (sheetScore === '') {
+      notes.push('Blank score not sent to Canvas');
+    } else if (rec.moderated) {
+      notes.push('Score not sent (moderated assignment: the moderator sets the final grade)');
+    } else if (settings.pushGrades) {
+      payload['submission[posted_grade]'] = sheetScore;
+    } else {
+      notes.push('Score not sent ("Push Grades to Canvas?" is No)');
+    }
+  } else {
+    rec.score = canvasScore;
+    rec.baseline = canvasScore;
+  }
+
+  const comment = (rec.comment || '').toString().trim();
+  if (comment) {
+    if (settings.pushGrades) {
+      payload['comment[text_comment]'] = comment;
+    } else {
+      notes.push('Comment not sent ("Push Grades to Canvas?" is No)');
+    }
+  }
+
+  let current = canvas;
+  if (Object.keys(payload).length) {
+    try {
+      current = putSubmission_(settings, parts, payload) || canvas;
+      if (payload['submission[posted_grade]'] !== undefined) {
+        rec.score = scoreText_(current.score);
+        rec.baseline = rec.score;
+        totals.scoresPosted++;
+        notes.push('Score posted');
+      }
+      if (payload['comment[text_comment]'] !== undefined) {
+        rec.comment = '';
+        totals.commentsPosted++;
+        notes.push('Comment posted');
+      }
+    } catch (e) {
+      notes.push('Post failed: ' + e.message.split('\n')[0]);
+    }
+  }
+
+  const graded = current.workflow_state === 'graded';
+  if (graded && rec.graded !== true) {
+    rec.graded = true;
+    totals.newlyGraded++;
+  } else if (!graded && rec.graded === true) {
+    notes.push('Ticked here, but not graded in Canvas');
+  }
+
+  rec.status = notes.length ? notes.join('; ') : '✓ In sync';
+  return conflict;
+}
+
+/**
+ * Grade / comment on one submission via PUT /courses/:id/assignments/:id/submissions/:user_id,
+ * or .../anonymous_submissions/:anonymous_id for anonymous grading.
+ */
+function putSubmission_(settings, parts, payload) {
+  const target = parts.anonymousId
+    ? '/anonymous_submissions/' + parts.anonymousId
+    : '/submissions/' + parts.userId;
+  return canvasFetch_(
+    settings,
+    '/api/v1/courses/' + parts.courseId + '/assignments/' + parts.assignmentId + target,
+    { method: 'put', payload: payload, retryRefusedOnly: true },
+    'updating submission for user ' + parts.userId + ' on assignment ' + parts.assignmentId
+  );
+}
+
+/**
+ * Normalize a score cell / API score for comparison ('' when blank).
+ */
+function scoreText_(val) {
+  if (val === null || val === undefined) return '';
+  const str = val.toString().trim();
+  const num = Number(str);
+  return str !== '' && !isNaN(num) ? String(num) : str;
+}
+
+/***************************************************************
+ * GRADING HISTORY & TURNAROUND REPORT
+ ***************************************************************/
+
+/**
+ * Append-only History sheet: one row per submission attempt (submission id +
+ * submitted_at). Rows are never removed; Graded At / Grader / Turnaround are
+ * filled in once Canvas reports the attempt graded.
+ */
+const HISTORY_SHEET_NAME = 'History';
+const TURNAROUND_SHEET_NAME = 'Turnaround';
+const HISTORY_COLUMNS = [
+  'Submission ID',
+  'Submitted At',
+  'Course ID',
+  'Course',
+  'Assignment ID',
+  'Assignment',
+  'User ID',
+  'Student',
+  'Late',
+  'Graded At',
+  'Grader',
+  'Turnaround (hrs)',
+  'Recorded At'
+];
+const TURNAROUND_OLDEST_LIMIT = 20;
+
+/**
+ * Open History rows older than this are no longer looked up in Canvas, so one
+ * never-graded attempt cannot widen the graded_since window forever.
+ */
+const HISTORY_GRADE_LOOKBACK_DAYS = 30;
+
+/**
+ * Record new attempts, back-fill grading info, and rebuild the Turnaround tab.
+ * History problems are logged rather than failing the calling run.
+ */
+function updateGradingHistory_(settings, submissions) {
+  try {
+    const sheet = getHistorySheet_();
+    appendHistoryRows_(sheet, submissions);
+    fillHistoryGrades_(settings, sheet);
+    buildTurnaroundReport_(sheet);
+  } catch (e) {
+    Logger.log('Grading history update failed: ' + e.message);
+    recordRunError_(e);
+  }
+}
+
+/**
+ * Rebuild History grading info and the Turnaround tab on demand.
+ * Called from Canvas Hub → Update Turnaround Report.
+ */
+function updateTurnaroundReport() {
+  resetCanvasFetchStats_();
+  try {
+    const settings = getSettings();
+    const sheet = getHistorySheet_();
+    fillHistoryGrades_(settings, sheet);
+    buildTurnaroundReport_(sheet);
+    writeRunLog_('Turnaround');
+    hubAlert_('Turnaround report updated.' + retryNote_() + runErrorNote_());
+  } catch (e) {
+    Logger.log('ERROR in updateTurnaroundReport: ' + e.message);
+    recordRunError_(e);
+    writeRunLog_('Turnaround');
+    hubAlert_('Error: ' + e.message);
+  }
+}
+
+/**
+ * Get (or create) the History sheet.
+ */
+function getHistorySheet_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sh = ss.getSheetByName(HISTORY_SHEET_NAME);
+  if (sh) return sh;
+
+  sh = ss.insertSheet(HISTORY_SHEET_NAME);
+  sh.getRange(1, 1, 1, HISTORY_COLUMNS.length).setValues([HISTORY_COLUMNS]);
+  sh
+    .getRange(1, 1, 1, HISTORY_COLUMNS.length)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#2F5597')
+    .setHorizontalAlignment('center');
+  sh.setFrozenRows(1);
+  return sh;
+}
+
+/**
+ * All History data rows (without the header).
+ */
+function readHistoryRows_(sheet) {
+  const last = sheet.getLastRow();
+  if (last < 2) return [];
+  return sheet.getRange(2, 1, last - 1, HISTORY_COLUMNS.length).getValues();
+}
+
+/**
+ * "submissionId@epochMs" – identifies one attempt in History.
+ */
+function historyKey_(submissionId, submittedAt) {
+  return submissionId + '@' + new Date(submittedAt).getTime();
+}
+
+/**
+ * Append attempts not yet in History.
+ */
+function appendHistoryRows_(sheet, submissions) {
+  if (!submissions.length) return;
+
+  const known = new Set(readHistoryRows_(sheet).map(r => historyKey_(r[0], r[1])));
+  const now = new Date();
+  const rows = [];
+
+  submissions.forEach(s => {
+    const key = historyKey_(s.submissionId, s.submittedDate);
+    if (known.has(key)) return;
+    known.add(key);
+
+    rows.push([
+      s.submissionId,
+      s.submittedDate,
+      s.courseId,
+      s.courseName,
+      s.assignmentId,
+      s.assignmentName,
+      s.userId,
+      s.studentName,
+      s.isLate,
+      '', // Graded At, Grader, Turnaround: filled by fillHistoryGrades_
+      '',
+      '',
+      now
+    ]);
+  });
+
+  if (rows.length) {
+    sheet
+      .getRange(sheet.getLastRow() + 1, 1, rows.length, HISTORY_COLUMNS.length)
+      .setValues(rows);
+  }
+}
+
+/**
+ * Fill Graded At / Grader / Turnaround for ungraded History rows submitted in
+ * the last HISTORY_GRADE_LOOKBACK_DAYS days.
+ * One paginated `graded_since` call per course covers every open row.
+ */
+function fillHistoryGrades_(settings, sheet) {
+  const data = readHistoryRows_(sheet);
+  const col = h => HISTORY_COLUMNS.indexOf(h);
+  const openByCourse = {};
+  const cutoff = Date.now() - HISTORY_GRADE_LOOKBACK_DAYS * 24 * 60 * 60 * 1000;
+
+  data.forEach((r, i) => {
+    if (r[col('Graded At')] || !r[col('Submission ID')]) return;
+    if (new Date(r[col('Submitted At')]).getTime() < cutoff) return;
+    const courseId = r[col('Course ID')].toString();
+    if (settings.courseIds.indexOf(courseId) === -1) return;
+    (openByCourse[courseId] = openByCourse[courseId] || []).push(i);
+  });
+
+  let changed = false;
+  Object.keys(openByCourse).forEach(courseId => {
+    const idxs = openByCourse[courseId];
+    const oldest = idxs.reduce(
+      (min, i) => Math.min(min, new Date(data[i][col('Submitted At')]).getTime()),
+      Infinity
+    );
+
+    let graded;
+    let graders;
+    try {
+      graded = {};
+      canvasFetchAll_(
+        settings,
+        '/api/v1/courses/' +
+          courseId +
+          '/students/submissions?student_ids[]=all' +
+          '&graded_since=' +
+          encodeURIComponent(new Date(oldest).toISOString()) +
+          '&per_page=100',
+        { method: 'get' },
+        'fetching graded submissions for course ' + courseId
+      ).forEach(s => {
+        graded[s.id] = s;
+      });
+      graders = getCourseGraders_(settings, courseId);
+    } catch (e) {
+      Logger.log('History grade lookup failed for course ' + courseId + ': ' + e.message);
+      recordRunError_(e, courseId);
+      return;
+    }
+
+    idxs.forEach(i => {
+      const row = data[i];
+      const s = graded[row[col('Submission ID')]];
+      if (!s || s.workflow_state !== 'graded' || !s.graded_at) return;
+
+      const submittedAt = new Date(row[col('Submitted At')]);
+      const gradedAt = new Date(s.graded_at);
+      if (gradedAt < submittedAt) return; // grade belongs to an earlier attempt
+
+      row[col('Graded At')] = gradedAt;
+      row[col('Grader')] = describeGrader_(s.grader_id, graders);
+      row[col('Turnaround (hrs)')] = hoursBetween_(submittedAt, gradedAt);
+      changed = true;
+    });
+  });
+
+  if (changed) {
+    ['Graded At', 'Grader', 'Turnaround (hrs)'].forEach(h => {
+      sheet
+        .getRange(2, col(h) + 1, data.length, 1)
+        .setValues(data.map(r => [r[col(h)]]));
+    });
+  }
+}
+
+/**
+ * Teacher / TA names for a course, keyed by user id.
+ */
+function getCourseGraders_(settings, courseId) {
+  const names = {};
+  canvasFetchAll_(
+    settings,
+    '/api/v1/courses/' +
+      courseId +
+      '/users?enrollment_type[]=teacher&enrollment_type[]=ta&per_page=100',
+    { method: 'get' },
+    'fetching graders for course ' + courseId
+  ).forEach(u => {
+    names[u.id] = u.name || u.sortable_name;
+  });
+  return names;
+}
+
+/**
+ * Human label for a Canvas grader_id (negative ids are quiz auto-grading).
+ */
+function describeGrader_(graderId, names) {
+  if (graderId === null || graderId === undefined || graderId === '') return '';
+  if (graderId < 0) return 'Auto-graded';
+  return names[graderId] || 'User ' + graderId;
+}
+
+function hoursBetween_(from, to) {
+  return Math.round(((new Date(to) - new Date(from)) / 3600000) * 10) / 10;
+}
+
+function median_(nums) {
+  if (!nums.length) return '';
+  const sorted = nums.slice().sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  const m = sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  return Math.round(m * 10) / 10;
+}
+
+/**
+ * Rebuild the Turnaround tab from History: median turnaround per course and
+ * per assignment, plus the oldest ungraded attempts.
+ */
+function buildTurnaroundReport_(historySheet) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const data = readHistoryRows_(historySheet);
+  const col = h => HISTORY_COLUMNS.indexOf(h);
+
+  const byCourse = {};
+  const byAssignment = {};
+  const open = [];
+
+  data.forEach(r => {
+    if (!r[col('Submission ID')]) return;
+    const course = r[col('Course')];
+    const asmtKey = r[col('Course ID')] + ':' + r[col('Assignment ID')];
+    const c = (byCourse[course] = byCourse[course] || { graded: [], ungraded: 0, late: 0 });
+    const a = (byAssignment[asmtKey] = byAssignment[asmtKey] || {
+      course: course,
+      assignment: r[col('Assignment')],
+      graded: [],
+      ungraded: 0
+    });
+
+    if (r[col('Late')] === true) c.late++;
+
+    const hrs = r[col('Turnaround (hrs)')];
+    if (r[col('Graded At')] && hrs !== '') {
+      c.graded.push(Number(hrs));
+      a.graded.push(Number(hrs));
+    } else {
+      c.ungraded++;
+      a.ungraded++;
+      open.push(r);
+    }
+  });
+
+  let sh = ss.getSheetByName(TURNAROUND_SHEET_NAME);
+  if (!sh) sh = ss.insertSheet(TURNAROUND_SHEET_NAME);
+  sh.clear();
+
+  sh.getRange('A1:F1').merge();
+  sh
+    .getRange('A1')
+    .setValue('GRADING TURNAROUND')
+    .setFontSize(14)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#4472C4')
+    .setHorizontalAlignment('center');
+  sh.getRange('A2').setValue('Last Updated:').setFontWeight('bold');
+  sh
+    .getRange('B2')
+    .setValue(Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'M/d/yyyy h:mm a'));
+
+  let row = 4;
+  const writeTable = (title, headers, rows) => {
+    sh.getRange(row, 1).setValue(title).setFontWeight('bold').setFontSize(12);
+    row++;
+    sh
+      .getRange(row, 1, 1, headers.length)
+      .setValues([headers])
+      .setFontWeight('bold')
+      .setFontColor('#FFFFFF')
+      .setBackground('#70AD47');
+    row++;
+    if (rows.length) {
+      sh.getRange(row, 1, rows.length, headers.length).setValues(rows);
+      row += rows.length;
+    } else {
+      sh
+        .getRange(row, 1)
+        .setValue('No data yet.')
+        .setFontStyle('italic')
+        .setFontColor('#666666');
+      row++;
+    }
+    row++;
+  };
+
+  writeTable(
+    'By Course',
+    [
+      'Course',
+      'Graded',
+      'Ungraded',
+      'Late Submissions',
+      'Median Turnaround (hrs)',
+      'Median (days)'
+    ],
+    Object.keys(byCourse)
+      .sort()
+      .map(name => {
+        const c = byCourse[name];
+        const med = median_(c.graded);
+        return [
+          name,
+          c.graded.length,
+          c.ungraded,
+          c.late,
+          med,
+          med === '' ? '' : Math.round((med / 24) * 10) / 10
+        ];
+      })
+  );
+
+  writeTable(
+    'By Assignment',
+    ['Course', 'Assignment', 'Graded', 'Ungraded', 'Median Turnaround (hrs)'],
+    Object.keys(byAssignment)
+      .map(k => byAssignment[k])
+      .sort((x, y) => (x.course + x.assignment).localeCompare(y.course + y.assignment))
+      .map(a => [a.course, a.assignment, a.graded.length, a.ungraded, median_(a.graded)])
+  );
+
+  const now = Date.now();
+  writeTable(
+    'Oldest Ungraded',
+    ['Student', 'Course', 'Assignment', 'Submitted', 'Waiting (days)', 'Late'],
+    open
+      .sort((x, y) => new Date(x[col('Submitted At')]) - new Date(y[col('Submitted At')]))
+      .slice(0, TURNAROUND_OLDEST_LIMIT)
+      .map(r => [
+        r[col('Student')],
+        r[col('Course')],
+        r[col('Assignment')],
+        r[col('Submitted At')],
+        Math.round(((now - new Date(r[col('Submitted At')])) / 86400000) * 10) / 10,
+        r[col('Late')] === true ? 'Yes' : ''
+      ])
+  );
+
+  sh.setColumnWidth(1, 220);
+  sh.setColumnWidth(2, 220);
+  sh.setColumnWidth(3, 200);
+  sh.setColumnWidth(4, 150);
+  sh.setColumnWidth(5, 170);
+  sh.setColumnWidth(6, 110);
+}
+
+/***************************************************************
+ * DIGEST (EMAIL / CHAT WEBHOOK)
+ ***************************************************************/
+
+const DIGEST_LIST_LIMIT = 10;
+
+/**
+ * Send the digest after a scheduled (headless) refresh when "Send Digest?" is Yes.
+ * Failures are logged; they never fail the refresh itself.
+ */
+function sendScheduledDigest_(settings, newCount) {
+  if (!HUB_RUN_CONTEXT_.headless || !settings.sendDigest) return;
+  try {
+    sendDigest_(settings, buildDigest_(settings, readDayTabRows_(), newCount));
+  } catch (e) {
+    Logger.log('Digest failed: ' + e.message);
+  }
+}
+
+/**
+ * Build and send the digest immediately. Called from Canvas Hub → Send Digest Now.
+ */
+function sendDigestNow() {
+  try {
+    const settings = getSettings();
+    const sent = sendDigest_(settings, buildDigest_(settings, readDayTabRows_(), null));
+    hubAlert_(
+      sent
+        ? 'Digest sent to: ' + sent
+        : 'Add a Digest Email or Digest Webhook URL in Settings first.'
+    );
+  } catch (e) {
+    hubAlert_('Error: ' + e.message);
+  }
+}
+
+/**
+ * Every data row on Day 1–5 as plain objects (tabs without a Key column included).
+ */
+function readDayTabRows_() {
+  const out = [];
+
+  getDayTabs_().forEach(sheet => {
+    const cols = getHeaderMap_(sheet, DAY_HEADER_ROW);
+    const last = sheet.getLastRow();
+    if (!cols['Student Name'] || last < DAY_FIRST_ROW) return;
+
+    const range = sheet.getRange(DAY_FIRST_ROW, 1, last - DAY_FIRST_ROW + 1, sheet.getLastColumn());
+    const values = range.getValues();
+    const formulas = range.getFormulas();
+    const cell = (row, h) => (cols[h] ? row[cols[h] - 1] : '');
+
+    values.forEach((row, i) => {
+      if (!cell(row, 'Student Name')) return;
+      const linkFormula = cols['Link'] ? formulas[i][cols['Link'] - 1] : '';
+      const url = (linkFormula.match(/HYPERLINK\("([^"]+)"/) || [])[1] || '';
+      const submittedAt = cell(row, 'Submitted At');
+
+      out.push({
+        tab: sheet.getName(),
+        key: cell(row, 'Key'),
+        studentName: cell(row, 'Student Name'),
+        courseName: cell(row, 'Class'),
+        sectionName: cell(row, 'Section'),
+        assignmentName: cell(row, 'Assignment'),
+        type: cell(row, 'Type'),
+        submittedText: cell(row, 'Submitted'),
+        submittedDate: submittedAt instanceof Date ? submittedAt : null,
+        isLate: /\(LATE\)/.test(cell(row, 'Submitted')),
+        isGraded: cell(row, 'Graded?') === true,
+        speedGraderUrl: url
+      });
+    });
+  });
+
+  return out;
+}
+
+/**
+ * Digest of ungraded work on the Day tabs: ungraded count per course,
+ * late items, and the oldest waiting submissions, with SpeedGrader links.
+ * @param {?number} newCount Submissions added by this refresh (null when sent manually).
+ * @return {{subject: string, text: string, html: string}}
+ */
+function buildDigest_(settings, rows, newCount) {
+  const tz = Session.getScriptTimeZone();
+  const ungraded = rows.filter(r => !r.isGraded && r.type !== 'Peer Review');
+  const perCourse = {};
+  ungraded.forEach(r => {
+    perCourse[r.courseName] = (perCourse[r.courseName] || 0) + 1;
+  });
+
+  const late = ungraded.filter(r => r.isLate).slice(0, DIGEST_LIST_LIMIT);
+  const oldest = ungraded
+    .filter(r => r.submittedDate)
+    .sort((a, b) => a.submittedDate - b.submittedDate)
+    .slice(0, DIGEST_LIST_LIMIT);
+
+  const describe = r =>
+    r.studentName +
+    ' – ' +
+    r.assignmentName +
+    ' (' +
+    r.courseName +
+    ', ' +
+    (r.submittedDate ? getTimeAgo_(r.submittedDate) : r.submittedText) +
+    ')';
+
+  const subject =
+    'Canvas Grading Hub: ' +
+    ungraded.length +
+    ' ungraded' +
+    (newCount ? ', ' + newCount + ' new' : '') +
+    ' – ' +
+    Utilities.formatDate(new Date(), tz, 'M/d/yyyy');
+
+  // Plain text with <url|label> links (understood by Google Chat and Slack).
+  const text = [];
+  text.push('*' + subject + '*');
+  if (newCount !== null) text.push(newCount + ' new submission(s) this refresh.');
+  text.push('');
+  text.push('*Ungraded by course*');
+  Object.keys(perCourse)
+    .sort((a, b) => perCourse[b] - perCourse[a])
+    .forEach(c => text.push('• ' + c + ': ' + perCourse[c]));
+  if (!ungraded.length) text.push('• Nothing waiting – all caught up!');
+
+  const list = (title, items) => {
+    if (!items.length) return;
+    text.push('');
+    text.push('*' + title + '*');
+    items.forEach(r => {
+      const label = describe(r);
+      text.push('• ' + (r.speedGraderUrl ? '<' + r.speedGraderUrl + '|' + label + '>' : label));
+    });
+  };
+  list('Late submissions', late);
+  list('Waiting longest', oldest);
+
+  const problems = CANVAS_RUN_ERRORS_.map(describeRunError_);
+  if (problems.length) {
+    text.push('');
+    text.push('*⚠ Problems this run (results may be incomplete)*');
+    problems.slice(0, DIGEST_LIST_LIMIT).forEach(p => text.push(p));
+  }
+
+  const htmlList = items =>
+    '<ul>' +
+    items
+      .map(
+        r =>
+          '<li>' +
+          (r.speedGraderUrl
+            ? '<a href="' +
+              escapeHtml_(r.speedGraderUrl) +
+              '">' +
+              escapeHtml_(describe(r)) +
+              '</a>'
+            : escapeHtml_(describe(r))) +
+          '</li>'
+      )
+      .join('') +
+    '</ul>';
+
+  let html = '<h2>' + escapeHtml_(subject) + '</h2>';
+  if (newCount !== null) html += '<p>' + newCount + ' new submission(s) this refresh.</p>';
+  html += '<h3>Ungraded by course</h3><ul>';
+  Object.keys(perCourse)
+    .sort((a, b) => perCourse[b] - perCourse[a])
+    .forEach(c => {
+      html += '<li>' + escapeHtml_(c) + ': <b>' + perCourse[c] + '</b></li>';
+    });
+  html += ungraded.length ? '</ul>' : '<li>Nothing waiting – all caught up!</li></ul>';
+  if (late.length) html += '<h3>Late submissions</h3>' + htmlList(late);
+  if (oldest.length) html += '<h3>Waiting longest</h3>' + htmlList(oldest);
+  if (problems.length) {
+    html +=
+      '<h3 style="color:#C00000">⚠ Problems this run (results may be incomplete)</h3><ul>' +
+      problems
+        .slice(0, DIGEST_LIST_LIMIT)
+        .map(p => '<li>' + escapeHtml_(p.replace(/^• /, '')) + '</li>')
+        .join('') +
+      '</ul>';
+  }
+  html +=
+    '<p style="color:#666">Sent by Canvas Grading Hub · ' +
+    '<a href="' +
+    escapeHtml_(SpreadsheetApp.getActiveSpreadsheet().getUrl()) +
+    '">Open the hub</a></p>';
+
+  return { subject: subject, text: text.join('\n'), html: html };
+}
+
+/**
+ * Deliver a digest by email and/or webhook. Returns a description of where it went ('' if nowhere).
+ */
+function sendDigest_(settings, digest) {
+  const sentTo = [];
+
+  if (settings.digestEmails.length) {
+    MailApp.sendEmail({
+      to: settings.digestEmails.join(','),
+      subject: digest.subject,
+      body: digest.text,
+      htmlBody: digest.html
+    });
+    sentTo.push(settings.digestEmails.join(', '));
+  }
+
+  if (settings.digestWebhookUrl) {
+    const res = UrlFetchApp.fetch(settings.digestWebhookUrl, {
+      method: 'post',
+      contentType: 'application/json; charset=UTF-8',
+      payload: JSON.stringify({ text: digest.text }),
+      muteHttpExceptions: true
+    });
+    const code = res.getResponseCode();
+    if (code < 200 || code >= 300) {
+      throw new Error(
+        'Digest webhook returned ' + code + ': ' + res.getContentText().slice(0, 200)
+      );
+    }
+    sentTo.push('webhook');
+  }
+
+  return sentTo.join(' and ');
+}
+
+/***************************************************************
+ * GRADING QUEUE (RANKED UNGRADED WORK ACROSS DAY TABS)
+ ***************************************************************/
+
+const QUEUE_SHEET_NAME = 'Grading Queue';
+const QUEUE_COLUMNS = [
+  'Rank',
+  'Priority',
+  'Student Name',
+  'Class',
+  'Section',
+  'Assignment',
+  'Submitted',
+  'Waiting (days)',
+  'Due Date',
+  'Points Possible',
+  'Late',
+  'Link',
+  'Day Tab',
+  'Key'
+];
+
+/**
+ * Weight of each ranking factor when "Queue Weights" does not set it.
+ * Every factor is scaled 0–1 across the queue before weighting.
+ */
+const QUEUE_DEFAULT_WEIGHTS = { age: 3, due: 2, points: 1, late: 2, course: 2 };
+
+/**
+ * Assignment ids per course-level submissions request, keeping the URL short.
+ */
+const QUEUE_ASSIGNMENT_CHUNK = 50;
+
+/**
+ * Rebuild the Grading Queue tab. Called from Canvas Hub → Update Grading Queue.
+ */
+function updateGradingQueue() {
+  resetCanvasFetchStats_();
+  try {
+    const settings = getSettings();
+    const result = buildGradingQueue_(settings, {});
+    writeRunLog_('Grading Queue');
+    hubAlert_(
+      'Grading queue updated: ' +
+        result.queued +
+        ' submission(s) to grade.' +
+        (result.dropped ? '\n' + result.dropped + ' already graded in Canvas were left out.' : '') +
+        retryNote_() +
+        runErrorNote_()
+    );
+  } catch (e) {
+    Logger.log('ERROR in updateGradingQueue: ' + e.message);
+    recordRunError_(e);
+    writeRunLog_('Grading Queue');
+    hubAlert_('Error: ' + e.message);
+  }
+}
+
+/**
+ * Rebuild the queue after a refresh or sync, but only once the user has
+ * created the Grading Queue tab. `cache` is shared with syncDayTab_ so
+ * assignments already looked up are not fetched again. Failures are logged.
+ */
+function refreshGradingQueue_(settings, cache) {
+  if (!SpreadsheetApp.getActiveSpreadsheet().getSheetByName(QUEUE_SHEET_NAME)) return;
+  try {
+    buildGradingQueue_(settings, cache);
+  } catch (e) {
+    Logger.log('Grading queue update failed: ' + e.message);
+  }
+}
+
+/**
+ * Merge the ungraded rows from Day 1–5 (newest tab wins for a repeated key),
+ * check each against Canvas, rank what is still ungraded and write the tab.
+ * Rows whose Canvas lookup fails stay in the queue. Tabs without a Key column
+ * (created by an older version) are skipped.
+ * Returns { queued, dropped }.
+ */
+function buildGradingQueue_(settings, cache) {
+  const seen = {};
+  const candidates = [];
+  const items = [];
+  let dropped = 0;
+
+  readDayTabRows_().forEach(row => {
+    const parts = row.key ? parseSubmissionKey_(row.key) : null;
+    if (!parts || seen[row.key]) return;
+    seen[row.key] = true;
+    if (parts.peerReview || row.isGraded) return;
+    if (settings.courseIds.indexOf(parts.courseId) < 0) return;
+    candidates.push({ row: row, parts: parts });
+  });
+
+  prefetchCourseSubmissions_(settings, candidates.map(c => c.parts), cache);
+
+  candidates.forEach(c => {
+    const row = c.row;
+    const parts = c.parts;
+    const found = getCanvasSubmissionForSync_(settings, parts, cache);
+    if (found.submission && found.submission.workflow_state === 'graded') {
+      dropped++;
+      return;
+    }
+
+    // A successful lookup has already cached the assignment.
+    const asmt = found.error
+      ? {}
+      : getCachedAssignment_(settings, parts.courseId, parts.assignmentId, cache);
+    const due = effectiveDueDate_(asmt, found.submission);
+
+    items.push({
+      row: row,
+      courseId: parts.courseId,
+      dueDate: due,
+      pointsPossible: typeof asmt.points_possible === 'number' ? asmt.points_possible : null,
+      isLate: found.submission ? !!found.submission.late : row.isLate
+    });
+  });
+
+  scoreQueueItems_(settings, items, new Date());
+  writeGradingQueue_(items);
+  return { queued: items.length, dropped: dropped };
+}
+
+/**
+ * Give each item a `priority`: the weighted sum of how long it has waited,
+ * how long ago it was due, its points, whether it was late and its course
+ * priority, each divided by the largest value in the queue. Sorts the items
+ * highest priority first (oldest submission breaks ties).
+ */
+function scoreQueueItems_(settings, items, now) {
+  const w = settings.queueWeights;
+  const factors = items.map(it => ({
+    age: it.row.submittedDate ? Math.max(0, now - it.row.submittedDate) : 0,
+    due: it.dueDate ? Math.max(0, now - it.dueDate) : 0,
+    points: it.pointsPossible || 0,
+    late: it.isLate ? 1 : 0,
+    course: settings.coursePriority[it.courseId] || 1
+  }));
+
+  const max = {};
+  Object.keys(QUEUE_DEFAULT_WEIGHTS).forEach(k => {
+    max[k] = Math.max.apply(null, factors.map(f => f[k]).concat([0]));
+  });
+
+  items.forEach((it, i) => {
+    let total = 0;
+    Object.keys(QUEUE_DEFAULT_WEIGHTS).forEach(k => {
+      if (max[k] > 0) total += (w[k] * factors[i][k]) / max[k];
+    });
+    it.priority = Math.round(total * 100) / 100;
+  });
+
+  const submitted = it => (it.row.submittedDate ? it.row.submittedDate.getTime() : Infinity);
+  items.sort((a, b) => b.priority - a.priority || submitted(a) - submitted(b));
+}
+
+/**
+ * "Queue Weights" text ("Age 3, Due 2, Late 0") → { weights, unknown: [names] }.
+ * Factors not listed keep their QUEUE_DEFAULT_WEIGHTS value.
+ */
+function parseQueueWeights_(text) {
+  const weights = Object.assign({}, QUEUE_DEFAULT_WEIGHTS);
+  const unknown = [];
+
+  String(text || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const m = entry.match(/^([a-z]+)\s*[:=]?\s*(\d+(?:\.\d+)?)$/i);
+      const name = m ? m[1].toLowerCase() : '';
+      if (!m || !Object.prototype.hasOwnProperty.call(weights, name)) {
+        unknown.push(entry);
+        return;
+      }
+      weights[name] = Number(m[2]);
+    });
+
+  return { weights: weights, unknown: unknown };
+}
+
+/**
+ * "Course Priority" text ("101:3, 202:1") → { courseId: priority }.
+ * Courses not listed (or listed without a positive number) count as 1.
+ */
+function parseCoursePriority_(text) {
+  const out = {};
+  String(text || '')
+    .split(',')
+    .map(s => s.split(':').map(p => p.trim()))
+    .forEach(parts => {
+      const value = Number(parts[1]);
+      if (parts[0] && value > 0) out[parts[0]] = value;
+    });
+  return out;
+}
+
+/**
+ * Write the ranked queue to the Grading Queue tab (created on first use).
+ */
+function writeGradingQueue_(items) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sh = ss.getSheetByName(QUEUE_SHEET_NAME);
+  if (!sh) sh = ss.insertSheet(QUEUE_SHEET_NAME);
+  sh.clear();
+
+  const width = QUEUE_COLUMNS.length;
+  const col = h => QUEUE_COLUMNS.indexOf(h) + 1;
+  sh.getRange(1, 1, 1, width).setValues([QUEUE_COLUMNS]);
+  sh
+    .getRange(1, 1, 1, width)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#2F5597')
+    .setHorizontalAlignment('center');
+  sh.setFrozenRows(1);
+
+  const now = Date.now();
+  if (items.length) {
+    const rows = items.map((it, i) => {
+      const r = it.row;
+      return [
+        i + 1,
+        it.priority,
+        r.studentName,
+        r.courseName,
+        r.sectionName,
+        r.assignmentName,
+        r.submittedDate || r.submittedText,
+        r.submittedDate ? Math.round(((now - r.submittedDate) / 86400000) * 10) / 10 : '',
+        it.dueDate || '',
+        it.pointsPossible === null ? '' : it.pointsPossible,
+        it.isLate ? 'Yes' : '',
+        r.speedGraderUrl ? '=HYPERLINK("' + r.speedGraderUrl + '","View Submission")' : '',
+        r.tab,
+        r.key
+      ];
+    });
+    sh.getRange(2, 1, rows.length, width).setValues(rows);
+    sh.getRange(2, col('Submitted'), rows.length, 1).setNumberFormat('M/d/yyyy h:mm am/pm');
+    sh.getRange(2, col('Due Date'), rows.length, 1).setNumberFormat('M/d/yyyy h:mm am/pm');
+  } else {
+    sh.getRange(2, 1).setValue('Nothing waiting to be graded.');
+  }
+
+  sh.setColumnWidth(col('Rank'), 50);
+  sh.setColumnWidth(col('Priority'), 70);
+  sh.setColumnWidth(col('Student Name'), 180);
+  sh.setColumnWidth(col('Class'), 180);
+  sh.setColumnWidth(col('Assignment'), 220);
+  sh.setColumnWidth(col('Submitted'), 150);
+  sh.setColumnWidth(col('Due Date'), 150);
+  sh.setColumnWidth(col('Link'), 130);
+  sh.hideColumns(col('Key'));
+}
+
+/***************************************************************
+ * MISSING SUBMISSIONS (MOST RECENTLY DUE ASSIGNMENTS)
+ ***************************************************************/
+
+/**
+ * Show missing-submissions dialog.
+ */
+function openMissingSubmissionsDialog() {
+  try {
+    const settings = getSettings();
+    const coursePairs = settings.courseIds.map(id => {
+      let name;
+      try {
+        name = getCourseName_(settings, id);
+      } catch (e) {
+        name = 'Course ' + id;
+      }
+      return { id: id, name: name };
+    });
+
+    const html = buildMissingDialogHtml_(coursePairs);
+    SpreadsheetApp.getUi().showModalDialog(html, 'Check Missing Submissions');
+  } catch (e) {
+    Logger.log('openMissingSubmissionsDialog error: ' + e);
+    SpreadsheetApp.getUi().alert('Error: ' + (e && e.message ? e.message : e));
+  }
+}
+
+/**
+ * Backwards-compatible name, in case any existing script calls it.
+ */
+function buildMissingDialogHtml(coursePairs) {
+  return buildMissingDialogHtml_(coursePairs);
+}
+
+/**
+ * HTML dialog:
+ *  - Course dropdown (All or single course)
+ *  - Assignment range dropdown (latest, last 2, …, all)
+ *  - Button disables on click, shows "Working…", and closes when server starts.
+ */
+function buildMissingDialogHtml_(coursePairs) {
+  const html = HtmlService.createHtmlOutput(
+    `
+    <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          body { font-family: Arial, sans-serif; margin: 16px; }
+          h2 { margin-top: 0; }
+          label { display:block; margin: 8px 0 4px; font-weight: bold; }
+          select, button { width: 100%; padding: 8px; font-size: 13px; box-sizing: border-box; }
+          .row { margin-bottom: 12px; }
+          .btn { margin-top: 12px; background-color: #2F5597; color: white; border: none; cursor: pointer; }
+          .btn[disabled] { background-color: #9FA9C3; cursor: default; }
+          .btn:hover:not([disabled]) { background-color: #1D3F73; }
+          small { color:#666; display:block; margin-top:4px; }
+        </style>
+      </head>
+      <body>
+        <h2>Missing Submissions</h2>
+        <div class="row">
+          <label>Course</label>
+          <select id="course">
+            <option value="ALL">All Classes</option>
+            ${coursePairs
+              .map(c => `<option value="${c.id}">${c.name} (${c.id})</option>`)
+              .join('')}
+          </select>
+        </div>
+        <div class="row">
+          <label>Assignment Range</label>
+          <select id="range">
+            <option value="1">Latest Assignment Only</option>
+            <option value="2">Last 2 Assignments</option>
+            <option value="3">Last 3 Assignments</option>
+            <option value="4">Last 4 Assignments</option>
+            <option value="5">Last 5 Assignments</option>
+            <option value="DUE7">Due in the Last 7 Days</option>
+            <option value="DUE14">Due in the Last 14 Days</option>
+            <option value="DUE30">Due in the Last 30 Days</option>
+            <option value="ALL">All Past-Due Assignments (slow)</option>
+          </select>
+          <small>Only assignments already <strong>due</strong> are checked, most recently due first.
+            Excused students and students not assigned the work are skipped.</small>
+        </div>
+        <button class="btn" id="runBtn">Run Missing Submissions</button>
+        <small id="statusMsg"></small>
+
+        <script>
+          window.addEventListener('load', function () {
+            const btn = document.getElementById('runBtn');
+            const status = document.getElementById('statusMsg');
+
+            btn.addEventListener('click', function () {
+              if (btn.disabled) return;
+
+              const course = document.getElementById('course').value;
+              const range = document.getElementById('range').value;
+
+              btn.disabled = true;
+              btn.textContent = 'Working...';
+              status.textContent =
+                'Running Missing Submissions in the background. This may take a moment. ' +
+                'Watch the toast messages at the bottom of your sheet.';
+
+              google.script.run
+                .withSuccessHandler(function () {
+                  google.script.host.close();
+                })
+                .withFailureHandler(function (err) {
+                  alert('Server error: ' + (err && err.message ? err.message : JSON.stringify(err)));
+                  btn.disabled = false;
+                  btn.textContent = 'Run Missing Submissions';
+                  status.textContent = 'Something went wrong. Please try again.';
+                })
+                .startMissingSubmissions(course, range);
+            });
+          });
+        </script>
+      </body>
+    </html>
+  `
+  );
+  html.setWidth(380).setHeight(360);
+  return html;
+}
+
+/**
+ * Missing Submissions job state. Progress is checkpointed in Script Properties
+ * so a run that outlives one execution resumes from a one-shot trigger.
+ */
+const MISSING_JOB_KEY = 'MISSING_SUBMISSIONS_JOB';
+const MISSING_CONTINUE_HANDLER = 'continueMissingSubmissions';
+const MISSING_MAX_MS = 5 * 60 * 1000; // stay well under the 6-minute execution limit
+const MISSING_CONTINUE_DELAY_MS = 60 * 1000;
+
+/**
+ * Server entry for Missing Submissions.
+ * @param {string} courseChoice 'ALL' or specific courseId.
+ * @param {string} rangeChoice  '1' … '5' | 'ALL' | 'DUE<n>' (due in the last n days).
+ */
+function startMissingSubmissions(courseChoice, rangeChoice) {
+  const ui = SpreadsheetApp.getUi();
+
+  if (!courseChoice || !rangeChoice) {
+    ui.alert('Please use Canvas Hub → Check Missing Submissions to run this feature.');
+    return;
+  }
+
+  let settings;
+  try {
+    settings = getSettings();
+  } catch (e) {
+    ui.alert('Error loading settings: ' + e.message);
+    return;
+  }
+
+  const job = createMissingJob_(settings, courseChoice, rangeChoice);
+
+  hubToast_('Starting Missing Submissions…', 'Missing Submissions', 5);
+  resetCanvasFetchStats_();
+
+  const complete = runMissingJob_(settings, job);
+  Logger.log(describeCanvasFetchStats_());
+
+  if (complete) {
+    ui.alert(
+      'Missing Submissions updated.\nCheck the "Missing Submissions" tab.' +
+        retryNote_() +
+        runErrorNote_()
+    );
+  } else {
+    ui.alert(
+      'Missing Submissions is still running',
+      'This run is taking longer than one script execution allows.\n\n' +
+        'Progress has been saved and the report will continue automatically in about a minute. ' +
+        'Watch the Status cell on the "Missing Submissions" tab.',
+      ui.ButtonSet.OK
+    );
+  }
+}
+
+/**
+ * Clear the Missing Submissions tab and save a fresh job checkpoint.
+ * A new run replaces any unfinished one.
+ */
+function createMissingJob_(settings, courseChoice, rangeChoice) {
+  deleteMissingContinuationTriggers_();
+
+  const out = prepareMissingSheet_();
+  const range = parseMissingRange_(rangeChoice);
+  const job = {
+    courseIds: courseChoice === 'ALL' ? settings.courseIds : [courseChoice],
+    maxAssignments: range.maxAssignments,
+    dueWithinDays: range.dueWithinDays,
+    courseIndex: 0,
+    assignmentIndex: 0,
+    nextRow: out.nextRow,
+    startedAt: new Date().toISOString()
+  };
+  saveMissingJob_(job);
+  return job;
+}
+
+/**
+ * Range choice → { maxAssignments: number|'ALL', dueWithinDays: number|null }.
+ * "DUE14" means every assignment due in the last 14 days.
+ */
+function parseMissingRange_(rangeChoice) {
+  const choice = String(rangeChoice || '').trim().toUpperCase();
+  const due = choice.match(/^DUE\s*(\d+)$/);
+  if (due) return { maxAssignments: 'ALL', dueWithinDays: parseInt(due[1], 10) };
+  if (choice === 'ALL') return { maxAssignments: 'ALL', dueWithinDays: null };
+  return { maxAssignments: parseInt(choice, 10) || 5, dueWithinDays: null };
+}
+
+/**
+ * One-shot trigger handler: resume the checkpointed Missing Submissions job.
+ */
+function continueMissingSubmissions() {
+  HUB_RUN_CONTEXT_.headless = true;
+  deleteMissingContinuationTriggers_();
+
+  const job = loadMissingJob_();
+  if (!job) {
+    Logger.log('continueMissingSubmissions: no saved job, nothing to do.');
+    return;
+  }
+
+  resetCanvasFetchStats_();
+  try {
+    runMissingJob_(getSettings(), job);
+  } catch (e) {
+    Logger.log('continueMissingSubmissions error: ' + e.message);
+    recordRunError_(e);
+    writeRunLog_('Missing Submissions');
+    const sh = SpreadsheetApp.getActive().getSheetByName('Missing Submissions');
+    if (sh) setMissingStatus_(sh, 'Stopped: ' + e.message, '#C00000');
+    clearMissingJob_();
+    return;
+  }
+  Logger.log(describeCanvasFetchStats_());
+}
+
+/**
+ * Process the job from its checkpoint until done or out of time.
+ * Returns true when complete; false when paused with a continuation scheduled.
+ */
+function runMissingJob_(settings, job) {
+  const deadline = Date.now() + MISSING_MAX_MS;
+  const sh = SpreadsheetApp.getActive().getSheetByName('Missing Submissions');
+  if (!sh) throw new Error('Missing Submissions tab not found!');
+
+  const out = { sheet: sh, nextRow: job.nextRow };
+  const total = job.courseIds.length;
+
+  while (job.courseIndex < total) {
+    if (Date.now() > deadline) return pauseMissingJob_(job, out);
+
+    const id = job.courseIds[job.courseIndex];
+    setMissingStatus_(
+      sh,
+      'In progress – course ' + (job.courseIndex + 1) + ' of ' + total,
+      '#BF9000'
+    );
+    hubToast_(
+      'Processing course ' + (job.courseIndex + 1) + ' of ' + total + '…',
+      'Missing Submissions',
+      10
+    );
+
+    let reached = -1;
+    try {
+      reached = appendMissingForCourse_(
+        settings,
+        id,
+        job,
+        out,
+        job.assignmentIndex,
+        deadline
+      );
+    } catch (e) {
+      Logger.log('Error in appendMissingForCourse_ for course ' + id + ': ' + e.message);
+      recordRunError_(e, id);
+      // continue with next course
+    }
+
+    if (reached >= 0) {
+      job.assignmentIndex = reached;
+      return pauseMissingJob_(job, out);
+    }
+
+    job.courseIndex++;
+    job.assignmentIndex = 0;
+    job.nextRow = out.nextRow;
+    saveMissingJob_(job);
+  }
+
+  clearMissingJob_();
+  writeRunLog_('Missing Submissions');
+  const problems = (job.errorCount || 0) + CANVAS_RUN_ERRORS_.length;
+  setMissingStatus_(
+    sh,
+    (problems
+      ? 'Complete with ' + problems + ' problem(s) – see the ' + RUN_LOG_SHEET_NAME + ' tab '
+      : 'Complete ✔ ') +
+      Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'M/d/yyyy h:mm a'),
+    problems ? '#BF9000' : '#198754'
+  );
+  hubToast_('Missing Submissions complete ✔', 'Done', 5);
+  return true;
+}
+
+/**
+ * Save the checkpoint and schedule a fresh execution to pick it up.
+ */
+function pauseMissingJob_(job, out) {
+  job.nextRow = out.nextRow;
+  job.errorCount = (job.errorCount || 0) + CANVAS_RUN_ERRORS_.length;
+  saveMissingJob_(job);
+  writeRunLog_('Missing Submissions');
+
+  ScriptApp.newTrigger(MISSING_CONTINUE_HANDLER)
+    .timeBased()
+    .after(MISSING_CONTINUE_DELAY_MS)
+    .create();
+
+  setMissingStatus_(
+    out.sheet,
+    'In progress – course ' +
+      (job.courseIndex + 1) +
+      ' of ' +
+      job.courseIds.length +
+      ' (resuming automatically)',
+    '#BF9000'
+  );
+  hubToast_('Time limit reached – progress saved, resuming shortly.', 'Missing Submissions', 10);
+  return false;
+}
+
+function loadMissingJob_() {
+  const raw = PropertiesService.getScriptProperties().getProperty(MISSING_JOB_KEY);
+  return raw ? JSON.parse(raw) : null;
+}
+
+function saveMissingJob_(job) {
+  PropertiesService.getScriptProperties().setProperty(MISSING_JOB_KEY, JSON.stringify(job));
+}
+
+function clearMissingJob_() {
+  PropertiesService.getScriptProperties().deleteProperty(MISSING_JOB_KEY);
+}
+
+/**
+ * Remove pending continuation triggers (each one is single-use).
+ */
+function deleteMissingContinuationTriggers_() {
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (t.getHandlerFunction() === MISSING_CONTINUE_HANDLER) {
+      ScriptApp.deleteTrigger(t);
+    }
+  });
+}
+
+/**
+ * Write the run status into the Missing Submissions header (D2:E2).
+ */
+function setMissingStatus_(sheet, text, color) {
+  sheet.getRange('D2').setValue('Status:').setFontWeight('bold');
+  sheet
+    .getRange('E2')
+    .setValue(text)
+    .setFontWeight('bold')
+    .setFontColor(color || '#000000');
+}
+
+/**
+ * Missing Submissions columns. Hidden ID columns (G:I) let "Message Missing
+ * Students" address each row; hidden Assignment Name (J) is the plain name
+ * students are messaged, without the [Moderated] marker.
+ */
+const MISSING_COLUMNS = [
+  'Student Name',
+  'Assignment',
+  'Due Date',
+  'Course',
+  'Section',
+  'SpeedGrader Link',
+  'User ID',
+  'Course ID',
+  'Assignment ID',
+  'Assignment Name'
+];
+
+/**
+ * Visible width of the Missing Submissions tab (title / divider rows span it).
+ */
+const MISSING_VISIBLE_COLUMNS = 6;
+
+/**
+ * Prepare / clear the "Missing Submissions" sheet.
+ */
+function prepareMissingSheet_() {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName('Missing Submissions');
+  if (!sh) sh = ss.insertSheet('Missing Submissions');
+
+  sh.clear();
+  sh.setFrozenRows(2);
+
+  sh.getRange(1, 1, 1, MISSING_VISIBLE_COLUMNS).merge();
+  sh
+    .getRange('A1')
+    .setValue('MISSING SUBMISSIONS DASHBOARD')
+    .setFontSize(14)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#C00000')
+    .setHorizontalAlignment('center')
+    .setVerticalAlignment('middle');
+  sh.setRowHeight(1, 24);
+
+  const now = new Date();
+  sh.getRange('A2').setValue('Last Updated:').setFontWeight('bold');
+  sh
+    .getRange('B2')
+    .setValue(Utilities.formatDate(now, Session.getScriptTimeZone(), 'M/d/yyyy h:mm a'));
+
+  sh.getRange(4, 1, 1, MISSING_COLUMNS.length).setValues([MISSING_COLUMNS]);
+  sh
+    .getRange(4, 1, 1, MISSING_COLUMNS.length)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#2F5597')
+    .setHorizontalAlignment('center')
+    .setVerticalAlignment('middle');
+
+  sh.setColumnWidth(1, 200);
+  sh.setColumnWidth(2, 260);
+  sh.setColumnWidth(3, 160);
+  sh.setColumnWidth(4, 220);
+  sh.setColumnWidth(5, 140);
+  sh.setColumnWidth(6, 170);
+  // clear() keeps hidden columns; an older layout hid different ones.
+  sh.showColumns(1, sh.getMaxColumns());
+  sh.hideColumns(MISSING_VISIBLE_COLUMNS + 1, MISSING_COLUMNS.length - MISSING_VISIBLE_COLUMNS);
+
+  return { sheet: sh, nextRow: 5 };
+}
+
+/**
+ * Append one course’s missing-submissions list, starting at assignment
+ * `startIndex`. `range` carries the job's maxAssignments / dueWithinDays and
+ * its startedAt time, so a resumed run selects the same assignments.
+ * Returns -1 when the course is finished, or the index of the next
+ * unprocessed assignment when `deadline` (ms epoch) passed mid-course.
+ */
+function appendMissingForCourse_(settings, courseId, range, out, startIndex, deadline) {
+  const firstIndex = startIndex || 0;
+  const pending = [];
+
+  // Course name for section header.
+  let courseName;
+  try {
+    courseName = getCourseName_(settings, courseId);
+  } catch (e) {
+    courseName = 'Course ' + courseId;
+  }
+
+  const roster = getCourseRoster_(settings, courseId);
+  const students = roster.students;
+
+  // Divider row per course (already written when resuming mid-course), with
+  // the number of students left off the roster.
+  if (firstIndex === 0) {
+    const exclusions = describeRosterExclusions_(roster.excluded);
+    pending.push({
+      text: courseName + ' (' + courseId + ')' + (exclusions ? ' – ' + exclusions : ''),
+      background: '#FBE5D6',
+      fontWeight: 'bold',
+      height: 22
+    });
+  }
+
+  // Data fetch.
+  const asOf = range.startedAt ? new Date(range.startedAt) : new Date();
+  const assignments = selectMissingAssignments_(
+    getAssignments_(settings, courseId, '&include[]=all_dates'),
+    range,
+    asOf
+  );
+
+  if (assignments.length === 0) {
+    pending.push({
+      text: 'No assignments found for this selection.',
+      fontStyle: 'italic',
+      fontColor: '#666666'
+    });
+    writeMissingRows_(out, pending);
+    return -1;
+  }
+
+  for (let idx = firstIndex; idx < assignments.length; idx++) {
+    // Always make progress on the first assignment of this call.
+    if (idx > firstIndex && deadline && Date.now() > deadline) {
+      writeMissingRows_(out, pending);
+      return idx;
+    }
+
+    const asmt = assignments[idx];
+    hubToast_(
+      'Checking "' + asmt.name + '" (' + (idx + 1) + ' of ' + assignments.length + ')…',
+      'Missing Submissions',
+      10
+    );
+
+    const subsByUser = {};
+    getAssignmentSubmissionsRaw_(settings, courseId, asmt.id).forEach(s => {
+      if (s) subsByUser[s.user_id] = s;
+    });
+
+    const anonymous = isAnonymousGrading_(asmt);
+    const missing = students.filter(stu =>
+      isSubmissionMissing_(asmt, subsByUser[stu.id], asOf)
+    );
+    // Roster order is alphabetical, which would give names away.
+    const anonId = stu => (subsByUser[stu.id] && subsByUser[stu.id].anonymous_id) || '';
+    if (anonymous) missing.sort((a, b) => anonId(a).localeCompare(anonId(b)));
+
+    if (missing.length === 0) {
+      pending.push({ text: '✓ No missing submissions for: ' + asmt.name, fontColor: '#198754' });
+      continue;
+    }
+
+    // Assignment title row.
+    pending.push({ text: assignmentLabel_(asmt), fontWeight: 'bold', background: '#FFF2CC' });
+
+    // Missing rows. Anonymous grading leaves out the name, section and User ID
+    // (so Message Missing Students skips these rows).
+    missing.forEach(m => {
+      const sub = subsByUser[m.id];
+      const link = speedGraderUrl_(
+        settings,
+        courseId,
+        asmt.id,
+        anonymous ? sub : { user_id: m.id },
+        anonymous
+      );
+
+      const due = effectiveDueDate_(asmt, sub);
+      const dueText = due
+        ? Utilities.formatDate(due, Session.getScriptTimeZone(), 'M/d/yyyy h:mm a')
+        : '—';
+      pending.push({
+        values: [
+          anonymous ? anonymousStudentName_(anonId(m)) : m.name,
+          assignmentLabel_(asmt),
+          dueText,
+          courseName,
+          anonymous ? '' : m.sectionName,
+          '=HYPERLINK("' + link + '","Open SpeedGrader")',
+          anonymous ? '' : m.id,
+          courseId,
+          asmt.id,
+          asmt.name
+        ]
+      });
+    });
+  }
+
+  writeMissingRows_(out, pending);
+
+  // Blank spacer row after each course section.
+  out.nextRow++;
+  return -1;
+}
+
+/**
+ * Write buffered Missing Submissions rows at out.nextRow in one pass: values
+ * (the link column as HYPERLINK formulas) and every cell format go in as
+ * whole-range arrays. Entries with `text` are divider / title / note rows
+ * merged across the visible columns and styled by their background,
+ * fontColor, fontWeight, fontStyle and height; entries with `values` are
+ * student rows.
+ */
+function writeMissingRows_(out, pending) {
+  if (pending.length === 0) return;
+
+  const sh = out.sheet;
+  const start = out.nextRow;
+  const width = MISSING_COLUMNS.length;
+  const linkCol = MISSING_COLUMNS.indexOf('SpeedGrader Link');
+
+  const grid = (sectionCell, linkCell) =>
+    pending.map(r => {
+      const row = new Array(width).fill(null);
+      if (r.text !== undefined) row[0] = sectionCell(r);
+      else row[linkCol] = linkCell;
+      return row;
+    });
+
+  const values = pending.map(r => {
+    if (r.values) return r.values;
+    const row = new Array(width).fill('');
+    row[0] = r.text;
+    return row;
+  });
+
+  const range = sh.getRange(start, 1, pending.length, width);
+  range.setValues(values);
+  range.setBackgrounds(grid(r => r.background || null, null));
+  range.setFontColors(grid(r => r.fontColor || null, '#0B5394'));
+  range.setFontWeights(grid(r => r.fontWeight || null, null));
+  range.setFontStyles(grid(r => r.fontStyle || null, null));
+  range.setHorizontalAlignments(grid(() => null, 'center'));
+
+  pending.forEach((r, i) => {
+    if (r.text === undefined) return;
+    sh.getRange(start + i, 1, 1, MISSING_VISIBLE_COLUMNS).merge();
+    if (r.height) sh.setRowHeight(start + i, r.height);
+  });
+
+  out.nextRow += pending.length;
+  pending.length = 0;
+}
+
+/**
+ * Submission types that never expect anything to be turned in through Canvas.
+ */
+const MISSING_IGNORED_SUBMISSION_TYPES = ['none', 'on_paper', 'not_graded'];
+
+/**
+ * Published, gradable assignments that are already past due for someone,
+ * most recently due first (id breaks ties so a resumed run sees the same
+ * order), trimmed to the job's range.
+ */
+function selectMissingAssignments_(assignments, range, asOf) {
+  const now = asOf.getTime();
+  const since = range.dueWithinDays ? now - range.dueWithinDays * 24 * 60 * 60 * 1000 : null;
+
+  let list = assignments
+    .filter(isTrackableAssignment_)
+    .map(a => {
+      const pastDue = assignmentDueDates_(a).filter(d => d.getTime() <= now);
+      const lastDue = pastDue.length ? Math.max.apply(null, pastDue) : null;
+      return { asmt: a, lastDue: lastDue };
+    })
+    .filter(x => x.lastDue !== null && (since === null || x.lastDue >= since));
+
+  list.sort((x, y) => y.lastDue - x.lastDue || y.asmt.id - x.asmt.id);
+  if (range.maxAssignments !== 'ALL') list = list.slice(0, range.maxAssignments);
+  return list.map(x => x.asmt);
+}
+
+/**
+ * Published, graded assignments that expect something turned in via Canvas.
+ */
+function isTrackableAssignment_(a) {
+  if (!a || a.published === false || a.grading_type === 'not_graded') return false;
+  const types = a.submission_types || [];
+  return !types.length || types.some(t => MISSING_IGNORED_SUBMISSION_TYPES.indexOf(t) < 0);
+}
+
+/**
+ * Every due date an assignment has: the base date plus section / student
+ * overrides when Canvas returned `all_dates`.
+ */
+function assignmentDueDates_(asmt) {
+  const raw = (asmt.all_dates || []).map(d => d.due_at);
+  if (asmt.due_at) raw.push(asmt.due_at);
+  return raw.filter(Boolean).map(d => new Date(d));
+}
+
+/**
+ * The due date that applies to one student. Canvas resolves overrides into
+ * the submission's `cached_due_date`.
+ */
+function effectiveDueDate_(asmt, sub) {
+  if (sub) return sub.cached_due_date ? new Date(sub.cached_due_date) : null;
+  return asmt.due_at ? new Date(asmt.due_at) : null;
+}
+
+/**
+ * Is this student's work missing as of `asOf`?
+ *  - Excused, submitted or already-graded work is never missing.
+ *  - Work the teacher marked missing in Canvas always is.
+ *  - Otherwise it is missing once the student's own due date has passed;
+ *    work with no due date is never flagged.
+ * A student with no submission record for an assignment that is only
+ * visible to overrides was not assigned it.
+ */
+function isSubmissionMissing_(asmt, sub, asOf) {
+  if (!sub) {
+    if (asmt.only_visible_to_overrides) return false;
+  } else {
+    if (sub.excused) return false;
+    if (sub.late_policy_status === 'missing') return true;
+    if (sub.submitted_at && sub.workflow_state !== 'unsubmitted') return false;
+    if (sub.workflow_state === 'graded' && sub.score !== null && sub.score !== undefined) {
+      return false;
+    }
+    if (sub.missing === true) return true;
+  }
+
+  const due = effectiveDueDate_(asmt, sub);
+  return !!due && due.getTime() <= asOf.getTime();
+}
+
+/**
+ * Course roster (students only), limited to the course's configured sections.
+ * Each student carries sectionIds and a display sectionName.
+ * Errors are logged and yield [] unless `throwOnError` is set.
+ */
+function getCourseStudents_(settings, courseId, throwOnError) {
+  return getCourseRoster_(settings, courseId, throwOnError).students;
+}
+
+/**
+ * Settings toggle for each kind of enrollment left off rosters by default.
+ */
+const ROSTER_EXCLUSIONS = [
+  { reason: 'test', label: 'Test Student', setting: 'Include Test Student?' },
+  { reason: 'inactive', label: 'inactive', setting: 'Include Inactive Students?' },
+  { reason: 'invited', label: 'invited', setting: 'Include Invited Students?' },
+  { reason: 'completed', label: 'concluded', setting: 'Include Concluded Students?' }
+];
+
+/**
+ * Roster from the enrollments endpoint, which (unlike /users) reports each
+ * enrollment's type and state. A student is listed when any enrollment in
+ * the configured sections is kept; one whose enrollments there are all
+ * excluded is counted by reason instead (see ROSTER_EXCLUSIONS).
+ * The enrollment list is cached as a "rosters" resource; filtering happens after.
+ * Returns { students, excluded: { reason: count } }. Errors are logged and
+ * yield an empty roster unless `throwOnError` is set.
+ */
+function getCourseRoster_(settings, courseId, throwOnError) {
+  let arr;
+  try {
+    arr = withCache_(
+      settings,
+      'rosters',
+      courseId + ':enrollments',
+      () =>
+        canvasFetchAll_(
+          settings,
+          '/api/v1/courses/' +
+            courseId +
+            '/enrollments?type[]=StudentEnrollment&type[]=StudentViewEnrollment' +
+            '&state[]=active&state[]=invited&state[]=creation_pending' +
+            '&state[]=inactive&state[]=completed&per_page=100',
+          { method: 'get' },
+          'fetching students for course ' + courseId
+        ) || []
+    );
+  } catch (e) {
+    if (throwOnError) throw e;
+    Logger.log('Failed to fetch students for ' + courseId + ': ' + e.message);
+    recordRunError_(e, courseId);
+    return { students: [], excluded: {} };
+  }
+
+  const wanted = settings.courseSections[courseId] || null;
+  const sectionNames = getCourseSections_(settings, courseId);
+
+  const byUser = {};
+  const order = [];
+  arr.forEach(e => {
+    const sectionId = e.course_section_id ? String(e.course_section_id) : '';
+    if (wanted && wanted.indexOf(sectionId) < 0) return;
+
+    const userId = e.user_id || (e.user && e.user.id);
+    if (!byUser[userId]) {
+      byUser[userId] = { user: e.user || {}, sectionIds: [], reasons: [] };
+      order.push(userId);
+    }
+    const entry = byUser[userId];
+    const reason = enrollmentExclusion_(settings, e);
+    if (reason) {
+      entry.reasons.push(reason);
+    } else {
+      entry.kept = true;
+      if (sectionId && entry.sectionIds.indexOf(sectionId) < 0) entry.sectionIds.push(sectionId);
+    }
+  });
+
+  const students = [];
+  const excluded = {};
+  order.forEach(userId => {
+    const entry = byUser[userId];
+    if (!entry.kept) {
+      excluded[entry.reasons[0]] = (excluded[entry.reasons[0]] || 0) + 1;
+      return;
+    }
+    students.push({
+      id: userId,
+      name: entry.user.name || entry.user.sortable_name || 'Unknown Student',
+      sectionIds: entry.sectionIds,
+      sectionName: entry.sectionIds.map(id => sectionNames[id] || 'Section ' + id).join(', ')
+    });
+  });
+  return { students: students, excluded: excluded };
+}
+
+/**
+ * Why an enrollment is left off the roster ('' when it is kept).
+ */
+function enrollmentExclusion_(settings, enrollment) {
+  let reason = '';
+  if (enrollment.type === 'StudentViewEnrollment') {
+    reason = 'test';
+  } else if (enrollment.enrollment_state === 'inactive') {
+    reason = 'inactive';
+  } else if (['invited', 'creation_pending'].indexOf(enrollment.enrollment_state) >= 0) {
+    reason = 'invited';
+  } else if (enrollment.enrollment_state === 'completed') {
+    reason = 'completed';
+  }
+  return reason && !settings.rosterInclude[reason] ? reason : '';
+}
+
+/**
+ * "3 excluded: 1 Test Student, 2 inactive" ('' when nobody was excluded).
+ */
+function describeRosterExclusions_(excluded) {
+  const parts = ROSTER_EXCLUSIONS.filter(x => excluded[x.reason]).map(
+    x => excluded[x.reason] + ' ' + x.label
+  );
+  if (!parts.length) return '';
+  const total = Object.keys(excluded).reduce((sum, k) => sum + excluded[k], 0);
+  return total + ' excluded: ' + parts.join(', ');
+}
+
+/**
+ * Section names for a course: { sectionId: name } (cached with rosters). Errors yield {}.
+ */
+function getCourseSections_(settings, courseId) {
+  const out = {};
+  try {
+    withCache_(
+      settings,
+      'rosters',
+      courseId + ':sections',
+      () =>
+        canvasFetchAll_(
+          settings,
+          '/api/v1/courses/' + courseId + '/sections?per_page=100',
+          { method: 'get' },
+          'fetching sections for course ' + courseId
+        ) || []
+    ).forEach(sec => {
+      out[String(sec.id)] = sec.name || 'Section ' + sec.id;
+    });
+  } catch (e) {
+    Logger.log('Failed to fetch sections for ' + courseId + ': ' + e.message);
+    recordRunError_(e, courseId);
+  }
+  return out;
+}
+
+/**
+ * Raw submissions for an assignment (no filtering).
+ * Errors are logged and yield [] unless `throwOnError` is set.
+ */
+function getAssignmentSubmissionsRaw_(settings, courseId, assignmentId, throwOnError) {
+  try {
+    return (
+      canvasFetchAll_(
+        settings,
+        '/api/v1/courses/' +
+          courseId +
+          '/assignments/' +
+          assignmentId +
+          '/submissions?per_page=100',
+        { method: 'get' },
+        'fetching raw submissions for assignment ' + assignmentId
+      ) || []
+    );
+  } catch (e) {
+    if (throwOnError) throw e;
+    Logger.log(
+      'Failed to fetch submissions for assignment ' + assignmentId + ': ' + e.message
+    );
+    recordRunError_(e, courseId, assignmentId);
+    return [];
+  }
+}
+
+/***************************************************************
+ * MESSAGE MISSING STUDENTS (CANVAS CONVERSATIONS)
+ ***************************************************************/
+
+const MESSAGE_PREVIEW_SHEET_NAME = 'Message Preview';
+const MESSAGE_LOG_SHEET_NAME = 'Message Log';
+const DEFAULT_MESSAGE_SUBJECT = 'Missing work in {course}';
+const DEFAULT_MESSAGE_TEMPLATE =
+  'Hi {first_name},\n\n' +
+  'Our records show the following work is missing in {course}:\n\n' +
+  '{assignments}\n\n' +
+  'Please submit it as soon as you can, or let me know if you need help.';
+
+const MESSAGE_PREVIEW_COLUMNS = [
+  'Send?',
+  'Course',
+  'Student',
+  'Missing',
+  'Recipients',
+  'Subject',
+  'Message',
+  'Status',
+  'Course ID',
+  'User ID',
+  'Recipient IDs'
+];
+const MESSAGE_LOG_COLUMNS = [
+  'Sent At',
+  'Course ID',
+  'Course',
+  'User ID',
+  'Student',
+  'Recipients',
+  'Subject',
+  'Result'
+];
+
+/**
+ * Step 1 (dry run): group the Missing Submissions tab by student and write one
+ * templated message per student to the Message Preview tab. Nothing is sent.
+ * Called from Canvas Hub → Message Missing Students.
+ */
+function previewMissingMessages() {
+  const ui = SpreadsheetApp.getUi();
+  resetCanvasFetchStats_();
+
+  try {
+    const settings = getSettings();
+    const groups = readMissingByStudent_();
+    if (groups.length === 0) {
+      ui.alert(
+        'No missing work to message.\n\nRun Canvas Hub → Check Missing Submissions first.'
+      );
+      return;
+    }
+
+    const observers = {};
+    if (settings.ccObservers) {
+      groups.forEach(g => {
+        if (observers[g.courseId]) return;
+        try {
+          observers[g.courseId] = getCourseObservers_(settings, g.courseId);
+        } catch (e) {
+          Logger.log('Observer lookup failed for course ' + g.courseId + ': ' + e.message);
+          observers[g.courseId] = {};
+        }
+      });
+    }
+
+    const sentToday = getMessagedToday_();
+    const rows = groups.map(g => {
+      const cc = (observers[g.courseId] || {})[g.userId] || [];
+      const vars = {
+        student: g.studentName,
+        first_name: g.studentName.split(/\s+/)[0],
+        course: g.courseName,
+        assignments: g.assignments.map(a => '• ' + a).join('\n'),
+        count: g.assignments.length
+      };
+      const already = sentToday.has(g.courseId + ':' + g.userId);
+
+      return [
+        !already,
+        g.courseName,
+        g.studentName,
+        g.assignments.length,
+        [g.studentName].concat(cc.map(o => o.name + ' (observer)')).join(', '),
+        fillTemplate_(settings.messageSubject, vars),
+        fillTemplate_(settings.messageTemplate, vars),
+        already ? 'Already messaged today – skipped' : 'Ready',
+        g.courseId,
+        g.userId,
+        [g.userId].concat(cc.map(o => o.id)).join(',')
+      ];
+    });
+
+    writeMessagePreview_(rows);
+    ui.alert(
+      rows.length +
+        ' message(s) prepared on the "' +
+        MESSAGE_PREVIEW_SHEET_NAME +
+        '" tab.\n\n' +
+        'Review or edit them, untick any you do not want to send, then run\n' +
+        'Canvas Hub → Send Previewed Messages.' +
+        retryNote_()
+    );
+  } catch (e) {
+    Logger.log('ERROR in previewMissingMessages: ' + e.message);
+    ui.alert('Error: ' + e.message);
+  }
+}
+
+/**
+ * Step 2: send every ticked Message Preview row through /api/v1/conversations,
+ * skipping students already messaged today, and log each send.
+ * Called from Canvas Hub → Send Previewed Messages.
+ */
+function sendPreviewedMessages() {
+  const ui = SpreadsheetApp.getUi();
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(MESSAGE_PREVIEW_SHEET_NAME);
+  if (!sh || sh.getLastRow() < 2) {
+    ui.alert('Nothing to send. Run Canvas Hub → Message Missing Students first.');
+    return;
+  }
+
+  const numRows = sh.getLastRow() - 1;
+  const data = sh.getRange(2, 1, numRows, MESSAGE_PREVIEW_COLUMNS.length).getValues();
+  const col = h => MESSAGE_PREVIEW_COLUMNS.indexOf(h);
+  const ticked = data.filter(r => r[col('Send?')] === true).length;
+  if (ticked === 0) {
+    ui.alert('No rows are ticked in the Send? column.');
+    return;
+  }
+
+  const btn = ui.alert(
+    'Send Messages',
+    'Send ' + ticked + ' Canvas message(s) now? This cannot be undone.',
+    ui.ButtonSet.YES_NO
+  );
+  if (btn !== ui.Button.YES) return;
+
+  let settings;
+  try {
+    settings = getSettings();
+  } catch (e) {
+    ui.alert('Error loading settings: ' + e.message);
+    return;
+  }
+
+  resetCanvasFetchStats_();
+  const sentToday = getMessagedToday_();
+  const log = [];
+  let sent = 0;
+  let failed = 0;
+
+  data.forEach(r => {
+    if (r[col('Send?')] !== true) return;
+
+    const courseId = r[col('Course ID')].toString();
+    const userId = r[col('User ID')].toString();
+    if (sentToday.has(courseId + ':' + userId)) {
+      r[col('Status')] = 'Already messaged today – skipped';
+      r[col('Send?')] = false;
+      return;
+    }
+
+    let result;
+    try {
+      sendCanvasConversation_(
+        settings,
+        courseId,
+        r[col('Recipient IDs')].toString().split(','),
+        r[col('Subject')],
+        r[col('Message')]
+      );
+      result = 'Sent';
+      sent++;
+      sentToday.add(courseId + ':' + userId);
+      r[col('Send?')] = false;
+    } catch (e) {
+      result = 'Failed: ' + e.message.split('\n')[0];
+      failed++;
+    }
+
+    r[col('Status')] = result;
+    log.push([
+      new Date(),
+      courseId,
+      r[col('Course')],
+      userId,
+      r[col('Student')],
+      r[col('Recipients')],
+      r[col('Subject')],
+      result
+    ]);
+  });
+
+  sh.getRange(2, col('Send?') + 1, numRows, 1).setValues(data.map(r => [r[col('Send?')]]));
+  sh.getRange(2, col('Status') + 1, numRows, 1).setValues(data.map(r => [r[col('Status')]]));
+  appendMessageLog_(log);
+
+  ui.alert(
+    'Messages sent: ' +
+      sent +
+      (failed ? '\nFailed: ' + failed + ' (see the Status column)' : '') +
+      retryNote_()
+  );
+}
+
+/**
+ * Missing Submissions rows grouped per course + student, in sheet order.
+ * Rows without a User ID (older layout, anonymous assignments) are skipped.
+ */
+function readMissingByStudent_() {
+  const sh = SpreadsheetApp.getActive().getSheetByName('Missing Submissions');
+  if (!sh) return [];
+
+  const cols = getHeaderMap_(sh, 4);
+  const last = sh.getLastRow();
+  if (!cols['User ID'] || !cols['Course ID'] || last < 5) return [];
+
+  const groups = {};
+  const order = [];
+  sh
+    .getRange(5, 1, last - 4, sh.getLastColumn())
+    .getValues()
+    .forEach(r => {
+      const userId = r[cols['User ID'] - 1];
+      const courseId = r[cols['Course ID'] - 1];
+      if (!userId || !courseId) return;
+
+      const key = courseId + ':' + userId;
+      if (!groups[key]) {
+        groups[key] = {
+          courseId: courseId.toString(),
+          userId: userId.toString(),
+          courseName: r[cols['Course'] - 1],
+          studentName: r[cols['Student Name'] - 1],
+          assignments: []
+        };
+        order.push(key);
+      }
+      // Students are messaged the plain name, not the Assignment label ([Moderated]).
+      groups[key].assignments.push(r[(cols['Assignment Name'] || cols['Assignment']) - 1]);
+    });
+
+  return order.map(k => groups[k]);
+}
+
+/**
+ * Observers (parents) per observed student: { studentId: [{ id, name }] }.
+ */
+function getCourseObservers_(settings, courseId) {
+  const out = {};
+  canvasFetchAll_(
+    settings,
+    '/api/v1/courses/' +
+      courseId +
+      '/enrollments?type[]=ObserverEnrollment&include[]=user&per_page=100',
+    { method: 'get' },
+    'fetching observers for course ' + courseId
+  ).forEach(e => {
+    if (!e.associated_user_id) return;
+    (out[e.associated_user_id] = out[e.associated_user_id] || []).push({
+      id: e.user_id,
+      name: e.user ? e.user.name : 'Observer ' + e.user_id
+    });
+  });
+  return out;
+}
+
+/**
+ * Replace {placeholders} in a message template.
+ */
+function fillTemplate_(template, vars) {
+  return template.replace(/\{(\w+)\}/g, (m, name) =>
+    Object.prototype.hasOwnProperty.call(vars, name) ? String(vars[name]) : m
+  );
+}
+
+/**
+ * Send one Canvas conversation to the student (and any CC'd observers) in a course.
+ */
+function sendCanvasConversation_(settings, courseId, recipientIds, subject, body) {
+  const pairs = recipientIds.filter(Boolean).map(id => ['recipients[]', id.trim()]);
+  pairs.push(['subject', subject]);
+  pairs.push(['body', body]);
+  pairs.push(['context_code', 'course_' + courseId]);
+  pairs.push(['group_conversation', 'true']);
+  pairs.push(['force_new', 'true']);
+
+  return canvasFetch_(
+    settings,
+    '/api/v1/conversations',
+    {
+      method: 'post',
+      contentType: 'application/x-www-form-urlencoded',
+      payload: toFormPayload_(pairs),
+      retryRefusedOnly: true
+    },
+    'sending message in course ' + courseId
+  );
+}
+
+/**
+ * URL-encode [key, value] pairs (repeated keys such as recipients[] are allowed).
+ */
+function toFormPayload_(pairs) {
+  return pairs.map(p => encodeURIComponent(p[0]) + '=' + encodeURIComponent(p[1])).join('&');
+}
+
+/**
+ * Rewrite the Message Preview tab.
+ */
+function writeMessagePreview_(rows) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sh = ss.getSheetByName(MESSAGE_PREVIEW_SHEET_NAME);
+  if (!sh) sh = ss.insertSheet(MESSAGE_PREVIEW_SHEET_NAME);
+  sh.clear();
+
+  const width = MESSAGE_PREVIEW_COLUMNS.length;
+  sh.getRange(1, 1, 1, width).setValues([MESSAGE_PREVIEW_COLUMNS]);
+  sh
+    .getRange(1, 1, 1, width)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#2F5597')
+    .setHorizontalAlignment('center');
+  sh.setFrozenRows(1);
+
+  sh.getRange(2, 1, rows.length, width).setValues(rows);
+  sh.getRange(2, 1, rows.length, 1).insertCheckboxes();
+  sh.getRange(2, 7, rows.length, 1).setWrap(true);
+
+  sh.setColumnWidth(1, 60);
+  sh.setColumnWidth(2, 200);
+  sh.setColumnWidth(3, 180);
+  sh.setColumnWidth(4, 70);
+  sh.setColumnWidth(5, 220);
+  sh.setColumnWidth(6, 220);
+  sh.setColumnWidth(7, 420);
+  sh.setColumnWidth(8, 200);
+  sh.showColumns(1, sh.getMaxColumns());
+  sh.hideColumns(9, 3);
+  ss.setActiveSheet(sh);
+}
+
+/**
+ * "courseId:userId" for every successful send logged today.
+ */
+function getMessagedToday_() {
+  const out = new Set();
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(MESSAGE_LOG_SHEET_NAME);
+  if (!sh || sh.getLastRow() < 2) return out;
+
+  const today = todayKey_();
+  const tz = Session.getScriptTimeZone();
+  sh
+    .getRange(2, 1, sh.getLastRow() - 1, MESSAGE_LOG_COLUMNS.length)
+    .getValues()
+    .forEach(r => {
+      if (!(r[0] instanceof Date) || r[7] !== 'Sent') return;
+      if (Utilities.formatDate(r[0], tz, 'yyyy-MM-dd') !== today) return;
+      out.add(r[1] + ':' + r[3]);
+    });
+  return out;
+}
+
+/**
+ * Append rows to the Message Log tab (created on first use).
+ */
+function appendMessageLog_(rows) {
+  if (!rows.length) return;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sh = ss.getSheetByName(MESSAGE_LOG_SHEET_NAME);
+  if (!sh) {
+    sh = ss.insertSheet(MESSAGE_LOG_SHEET_NAME);
+    sh.getRange(1, 1, 1, MESSAGE_LOG_COLUMNS.length).setValues([MESSAGE_LOG_COLUMNS]);
+    sh
+      .getRange(1, 1, 1, MESSAGE_LOG_COLUMNS.length)
+      .setFontWeight('bold')
+      .setFontColor('#FFFFFF')
+      .setBackground('#7F7F7F');
+    sh.setFrozenRows(1);
+  }
+
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, MESSAGE_LOG_COLUMNS.length).setValues(rows);
+}
+
+/***************************************************************
+ * STUDENT REPORT (ONE STUDENT ACROSS ALL COURSES)
+ ***************************************************************/
+
+const STUDENT_REPORT_SHEET_NAME = 'Student Report';
+const STUDENT_REPORT_UPCOMING_DAYS = 7;
+const STUDENT_REPORT_SUMMARY_COLUMNS = [
+  'Course',
+  'Submitted',
+  'Late',
+  'Missing',
+  'Graded',
+  'Current Score',
+  'Current Grade'
+];
+const STUDENT_REPORT_ITEM_COLUMNS = ['Course', 'Assignment', 'Due Date', 'Status', 'Link'];
+
+/**
+ * Show the Student Report dialog (students from every configured course).
+ */
+function openStudentReportDialog() {
+  try {
+    const settings = getSettings();
+    const byId = {};
+    settings.courseIds.forEach(id => {
+      getCourseStudents_(settings, id).forEach(stu => {
+        if (!byId[stu.id]) byId[stu.id] = stu;
+      });
+    });
+    const students = Object.keys(byId)
+      .map(id => byId[id])
+      .sort((a, b) => a.name.localeCompare(b.name));
+
+    if (students.length === 0) {
+      SpreadsheetApp.getUi().alert('No students found in the configured courses.');
+      return;
+    }
+
+    const html = buildStudentReportDialogHtml_(students);
+    SpreadsheetApp.getUi().showModalDialog(html, 'Student Report');
+  } catch (e) {
+    Logger.log('openStudentReportDialog error: ' + e);
+    SpreadsheetApp.getUi().alert('Error: ' + (e && e.message ? e.message : e));
+  }
+}
+
+/**
+ * HTML dialog:
+ *  - Student dropdown (everyone enrolled in any configured course)
+ *  - Optional PDF export to Google Drive
+ *  - Button disables on click, shows "Working…", and closes when server returns.
+ */
+function buildStudentReportDialogHtml_(students) {
+  const html = HtmlService.createHtmlOutput(
+    `
+    <html>
+      <head>
+        <meta charset="UTF-8">
+        <style>
+          body { font-family: Arial, sans-serif; margin: 16px; }
+          h2 { margin-top: 0; }
+          label { display:block; margin: 8px 0 4px; font-weight: bold; }
+          select, button { width: 100%; padding: 8px; font-size: 13px; box-sizing: border-box; }
+          .row { margin-bottom: 12px; }
+          .check { font-weight: normal; }
+          .btn { margin-top: 12px; background-color: #2F5597; color: white; border: none; cursor: pointer; }
+          .btn[disabled] { background-color: #9FA9C3; cursor: default; }
+          .btn:hover:not([disabled]) { background-color: #1D3F73; }
+          small { color:#666; display:block; margin-top:4px; }
+        </style>
+      </head>
+      <body>
+        <h2>Student Report</h2>
+        <div class="row">
+          <label>Student</label>
+          <select id="student">
+            ${students
+              .map(s => `<option value="${escapeHtml_(s.id)}">${escapeHtml_(s.name)}</option>`)
+              .join('')}
+          </select>
+        </div>
+        <div class="row">
+          <label class="check"><input type="checkbox" id="pdf"> Also save a PDF to Google Drive</label>
+          <small>Counts, current score and outstanding work across every course in Course IDs.</small>
+        </div>
+        <button class="btn" id="runBtn">Build Student Report</button>
+        <small id="statusMsg"></small>
+
+        <script>
+          window.addEventListener('load', function () {
+            const btn = document.getElementById('runBtn');
+            const status = document.getElementById('statusMsg');
+
+            btn.addEventListener('click', function () {
+              if (btn.disabled) return;
+
+              const student = document.getElementById('student').value;
+              const pdf = document.getElementById('pdf').checked;
+
+              btn.disabled = true;
+              btn.textContent = 'Working...';
+              status.textContent = 'Building the report. This may take a moment.';
+
+              google.script.run
+                .withSuccessHandler(function () {
+                  google.script.host.close();
+                })
+                .withFailureHandler(function (err) {
+                  alert('Server error: ' + (err && err.message ? err.message : JSON.stringify(err)));
+                  btn.disabled = false;
+                  btn.textContent = 'Build Student Report';
+                  status.textContent = 'Something went wrong. Please try again.';
+                })
+                .buildStudentReport(student, pdf);
+            });
+          });
+        </script>
+      </body>
+    </html>
+  `
+  );
+  html.setWidth(380).setHeight(300);
+  return html;
+}
+
+/**
+ * Server entry for the Student Report dialog.
+ * @param {string} userId    Canvas user id.
+ * @param {boolean} exportPdf Also save the sheet as a PDF in Drive.
+ */
+function buildStudentReport(userId, exportPdf) {
+  const ui = SpreadsheetApp.getUi();
+
+  if (!userId) {
+    ui.alert('Please use Canvas Hub → Student Report to run this feature.');
+    return;
+  }
+
+  let settings;
+  try {
+    settings = getSettings();
+  } catch (e) {
+    ui.alert('Error loading settings: ' + e.message);
+    return;
+  }
+
+  hubToast_('Building student report…', 'Student Report', 5);
+  resetCanvasFetchStats_();
+
+  const now = new Date();
+  const courses = [];
+  let studentName = '';
+  settings.courseIds.forEach(courseId => {
+    try {
+      const report = getStudentCourseReport_(settings, courseId, userId, now);
+      if (!report) return;
+      if (!studentName) studentName = report.studentName;
+      courses.push(report);
+    } catch (e) {
+      Logger.log('Student report failed for course ' + courseId + ': ' + e.message);
+      recordRunError_(e, courseId);
+      courses.push({ courseId: courseId, courseName: 'Course ' + courseId, error: e.message });
+    }
+  });
+  Logger.log(describeCanvasFetchStats_());
+
+  if (courses.length === 0) {
+    ui.alert('That student is not enrolled in any configured course.');
+    return;
+  }
+
+  const sheet = writeStudentReport_(studentName || 'User ' + userId, courses, now);
+  sheet.activate();
+
+  let msg = 'Student Report updated.\nCheck the "' + STUDENT_REPORT_SHEET_NAME + '" tab.';
+  if (exportPdf) {
+    try {
+      const file = exportStudentReportPdf_(sheet, studentName || 'User ' + userId);
+      msg += '\n\nPDF saved to Google Drive:\n' + file.getUrl();
+    } catch (e) {
+      Logger.log('Student report PDF export failed: ' + e.message);
+      msg += '\n\nPDF export failed: ' + e.message;
+    }
+  }
+  writeRunLog_('Student Report');
+  ui.alert(msg + retryNote_() + runErrorNote_());
+}
+
+/**
+ * Menu entry: save the current Student Report tab as a PDF.
+ */
+function exportStudentReportPdf() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActive().getSheetByName(STUDENT_REPORT_SHEET_NAME);
+  if (!sheet) {
+    ui.alert('No Student Report yet. Run Canvas Hub → Student Report first.');
+    return;
+  }
+
+  try {
+    const file = exportStudentReportPdf_(sheet, String(sheet.getRange('B2').getValue()));
+    ui.alert('PDF saved to Google Drive:\n' + file.getUrl());
+  } catch (e) {
+    Logger.log('exportStudentReportPdf error: ' + e.message);
+    ui.alert('PDF export failed: ' + e.message);
+  }
+}
+
+/**
+ * One course's numbers for one student, or null when they are not enrolled.
+ * Missing and upcoming use the same rules as Missing Submissions. Anonymous
+ * grading assignments are left out so the report can't reveal who submitted.
+ */
+function getStudentCourseReport_(settings, courseId, userId, now) {
+  const student = getCourseStudents_(settings, courseId, true).filter(
+    stu => String(stu.id) === String(userId)
+  )[0];
+  if (!student) return null;
+
+  let courseName;
+  try {
+    courseName = getCourseName_(settings, courseId);
+  } catch (e) {
+    courseName = 'Course ' + courseId;
+  }
+
+  const subs =
+    canvasFetchAll_(
+      settings,
+      '/api/v1/courses/' +
+        courseId +
+        '/students/submissions?student_ids[]=' +
+        encodeURIComponent(userId) +
+        '&include[]=assignment&per_page=100',
+      { method: 'get' },
+      'fetching submissions for student ' + userId + ' in course ' + courseId
+    ) || [];
+
+  const upcomingUntil = now.getTime() + STUDENT_REPORT_UPCOMING_DAYS * 24 * 60 * 60 * 1000;
+  const report = {
+    courseId: courseId,
+    courseName: courseName,
+    studentName: student.name,
+    submitted: 0,
+    late: 0,
+    missing: 0,
+    graded: 0,
+    currentScore: '',
+    currentGrade: '',
+    items: []
+  };
+
+  subs.forEach(s => {
+    const asmt = s.assignment;
+    if (!asmt || !isTrackableAssignment_(asmt) || isAnonymousGrading_(asmt)) return;
+
+    const turnedIn = !!s.submitted_at && s.workflow_state !== 'unsubmitted';
+    if (turnedIn) report.submitted++;
+    if (turnedIn && s.late) report.late++;
+    if (s.workflow_state === 'graded' || s.excused) report.graded++;
+
+    const due = effectiveDueDate_(asmt, s);
+    let status = '';
+    if (isSubmissionMissing_(asmt, s, now)) {
+      report.missing++;
+      status = 'Missing';
+    } else if (!turnedIn && !s.excused && due && due > now && due.getTime() <= upcomingUntil) {
+      status = 'Due soon';
+    }
+    if (!status) return;
+
+    report.items.push({
+      assignmentName: asmt.name || 'Assignment ' + asmt.id,
+      due: due,
+      status: status,
+      url: asmt.html_url || ''
+    });
+  });
+
+  report.items.sort((a, b) => (a.due ? a.due.getTime() : 0) - (b.due ? b.due.getTime() : 0));
+
+  const enrollment = (
+    canvasFetchAll_(
+      settings,
+      '/api/v1/courses/' +
+        courseId +
+        '/enrollments?type[]=StudentEnrollment&user_id=' +
+        encodeURIComponent(userId) +
+        '&per_page=100',
+      { method: 'get' },
+      'fetching enrollment for student ' + userId + ' in course ' + courseId
+    ) || []
+  ).filter(e => e.grades)[0];
+  if (enrollment) {
+    const score = enrollment.grades.current_score;
+    report.currentScore = score === null || score === undefined ? '' : score + '%';
+    report.currentGrade = enrollment.grades.current_grade || '';
+  }
+
+  return report;
+}
+
+/**
+ * Rewrite the Student Report tab: summary per course, then outstanding items.
+ */
+function writeStudentReport_(studentName, courses, now) {
+  const ss = SpreadsheetApp.getActive();
+  let sh = ss.getSheetByName(STUDENT_REPORT_SHEET_NAME);
+  if (!sh) sh = ss.insertSheet(STUDENT_REPORT_SHEET_NAME);
+
+  sh.clear();
+  const tz = Session.getScriptTimeZone();
+  const width = STUDENT_REPORT_SUMMARY_COLUMNS.length;
+
+  sh.getRange(1, 1, 1, width).merge();
+  sh
+    .getRange('A1')
+    .setValue('STUDENT PROGRESS REPORT')
     .setFontSize(14)
     .setFontWeight('bold')
     .setFontColor('#FFFFFF')
-    .setBackground('#4472C4')
-    .setHorizontalAlignment('center')
-    .setVerticalAlignment('middle');
-  sheet.setRowHeight(1, 25);
-
-  const now = new Date();
-  const dateStr = Utilities.formatDate(now, Session.getScriptTimeZone(), 'M/d/yyyy h:mm a');
+    .setBackground('#2F5597')
+    .setHorizontalAlignment('center');
+  sh.setRowHeight(1, 24);
 
-  sheet.getRange('A2').setValue('Last Updated:').setFontWeight('bold');
-  sheet.getRange('B2').setValue(dateStr);
+  sh.getRange('A2').setValue('Student:').setFontWeight('bold');
+  sh.getRange('B2').setValue(studentName).setFontWeight('bold');
+  sh.getRange('A3').setValue('Generated:').setFontWeight('bold');
+  sh.getRange('B3').setValue(Utilities.formatDate(now, tz, 'M/d/yyyy h:mm a'));
 
-  sheet.getRange('D2').setValue('Ungraded:').setFontWeight('bold');
-  sheet.getRange('E2').setValue(0).setFontWeight('bold').setFontColor('#FF0000');
+  // Summary per course.
+  let row = 5;
+  sh.getRange(row, 1, 1, width).setValues([STUDENT_REPORT_SUMMARY_COLUMNS]);
+  sh
+    .getRange(row, 1, 1, width)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#2F5597');
+  row++;
 
-  sheet.getRange('F2').setValue('Graded:').setFontWeight('bold');
-  sheet.getRange('G2').setValue(0).setFontWeight('bold').setFontColor('#008000');
+  const summary = courses.map(c =>
+    c.error
+      ? [c.courseName, 'Error: ' + c.error, '', '', '', '', '']
+      : [c.courseName, c.submitted, c.late, c.missing, c.graded, c.currentScore, c.currentGrade]
+  );
+  sh.getRange(row, 1, summary.length, width).setValues(summary);
+  sh
+    .getRange(row, 4, summary.length, 1)
+    .setFontColors(courses.map(c => [c.missing > 0 ? '#C00000' : null]))
+    .setFontWeights(courses.map(c => [c.missing > 0 ? 'bold' : null]));
+  row += summary.length + 1;
 
-  const headers = ['Graded?', 'Student Name', 'Class', 'Assignment', 'Submitted', 'Link', 'Notes'];
-  sheet.getRange(4, 1, 1, headers.length).setValues([headers]);
-  sheet
-    .getRange(4, 1, 1, headers.length)
+  // Outstanding items.
+  const itemWidth = STUDENT_REPORT_ITEM_COLUMNS.length;
+  sh.getRange(row, 1, 1, itemWidth).merge();
+  sh
+    .getRange(row, 1)
+    .setValue('Outstanding Work')
     .setFontWeight('bold')
-    .setFontColor('#FFFFFF')
-    .setBackground('#70AD47')
-    .setHorizontalAlignment('center')
-    .setVerticalAlignment('middle');
+    .setBackground('#FBE5D6');
+  row++;
+  sh.getRange(row, 1, 1, itemWidth).setValues([STUDENT_REPORT_ITEM_COLUMNS]);
+  sh.getRange(row, 1, 1, itemWidth).setFontWeight('bold').setBackground('#D9E1F2');
+  row++;
+
+  const items = [];
+  courses.forEach(c => {
+    (c.items || []).forEach(it => {
+      items.push([
+        c.courseName,
+        it.assignmentName,
+        it.due ? Utilities.formatDate(it.due, tz, 'M/d/yyyy h:mm a') : '—',
+        it.status,
+        it.url
+      ]);
+    });
+  });
+
+  if (items.length === 0) {
+    sh.getRange(row, 1, 1, itemWidth).merge();
+    sh
+      .getRange(row, 1)
+      .setValue('✓ Nothing missing or due soon.')
+      .setFontColor('#198754');
+  } else {
+    sh.getRange(row, 1, items.length, itemWidth).setValues(items);
+    sh
+      .getRange(row, 4, items.length, 1)
+      .setFontColors(items.map(it => [it[3] === 'Missing' ? '#C00000' : null]));
+    sh
+      .getRange(row, 5, items.length, 1)
+      .setFormulas(items.map(it => [it[4] ? '=HYPERLINK("' + it[4] + '","Open in Canvas")' : '']))
+      .setFontColors(items.map(it => [it[4] ? '#0B5394' : null]));
+  }
 
-  sheet.setColumnWidth(1, 70);
-  sheet.setColumnWidth(2, 150);
-  sheet.setColumnWidth(3, 220);
-  sheet.setColumnWidth(4, 220);
-  sheet.setColumnWidth(5, 150);
-  sheet.setColumnWidth(6, 130);
-  sheet.setColumnWidth(7, 250);
+  sh.setColumnWidth(1, 220);
+  sh.setColumnWidth(2, 260);
+  sh.setColumnWidth(3, 150);
+  sh.setColumnWidth(4, 110);
+  sh.setColumnWidth(5, 130);
+  sh.setColumnWidth(6, 110);
+  sh.setColumnWidth(7, 110);
+  return sh;
 }
 
 /**
- * Fill Day 1 with rows + checkboxes + late highlighting + stats.
+ * Export one tab as a PDF into the user's Drive and return the file.
  */
-function populateDayTab_(submissions, settings) {
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const day1 = ss.getSheetByName('Day 1');
-  if (!day1) throw new Error('Day 1 tab not found!');
+function exportStudentReportPdf_(sheet, studentName) {
+  const ss = sheet.getParent();
+  SpreadsheetApp.flush();
 
-  const rows = submissions.map(s => {
-    const ago = getTimeAgo_(s.submittedDate);
-    const submittedText = s.isLate ? ago + ' (LATE)' : ago;
-    return [false, s.studentName, s.courseName, s.assignmentName, submittedText, s.speedGraderUrl, ''];
+  const url =
+    'https://docs.google.com/spreadsheets/d/' +
+    ss.getId() +
+    '/export?format=pdf&portrait=true&size=letter&fitw=true&gridlines=false' +
+    '&sheetnames=false&printtitle=false&gid=' +
+    sheet.getSheetId();
+  const resp = UrlFetchApp.fetch(url, {
+    headers: { Authorization: 'Bearer ' + ScriptApp.getOAuthToken() },
+    muteHttpExceptions: true
   });
+  if (resp.getResponseCode() !== 200) {
+    throw new Error('Google returned HTTP ' + resp.getResponseCode() + ' for the PDF export.');
+  }
 
-  const startRow = 5;
+  const stamp = Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'yyyy-MM-dd');
+  return DriveApp.createFile(
+    resp.getBlob().setName('Student Report - ' + studentName + ' - ' + stamp + '.pdf')
+  );
+}
 
-  if (rows.length > 0) {
-    day1.getRange(startRow, 1, rows.length, 7).setValues(rows);
+/***************************************************************
+ * SCHEDULES (TIME-DRIVEN TRIGGERS)
+ ***************************************************************/
+
+/**
+ * Trigger handlers owned by the hub. 'refreshSubmissions' is the handler used
+ * by the old fixed 5 AM trigger and is cleaned up when schedules are re-applied.
+ */
+const SCHEDULE_REFRESH_HANDLER = 'scheduledRefresh';
+const SCHEDULE_MISSING_HANDLER = 'scheduledMissingSubmissions';
+const SCHEDULE_HANDLERS = [
+  SCHEDULE_REFRESH_HANDLER,
+  SCHEDULE_MISSING_HANDLER,
+  'refreshSubmissions'
+];
+const SCHEDULE_PAUSED_KEY = 'SCHEDULES_PAUSED';
+const SCHEDULE_SUMMARY_KEY = 'SCHEDULE_SUMMARY';
+const WEEKDAYS = ['SUNDAY', 'MONDAY', 'TUESDAY', 'WEDNESDAY', 'THURSDAY', 'FRIDAY', 'SATURDAY'];
+
+/**
+ * Create or replace the hub's triggers from the Run Time / Missing Report settings.
+ * Called from Canvas Hub → Schedules → Apply Auto-Run Schedule.
+ */
+function setupDailyTrigger() {
+  const ui = SpreadsheetApp.getUi();
+  try {
+    const settings = getSettings();
+    const summary = applySchedules_(settings);
+    ui.alert(
+      'Auto-run set up!\n\n' +
+        summary +
+        (isSchedulePaused_() ? '\n\nSchedules are currently PAUSED.' : '')
+    );
+  } catch (e) {
+    ui.alert('Could not set up auto-run: ' + e.message);
+  }
+}
+
+/**
+ * Replace the hub's schedule triggers. Returns a human-readable summary.
+ */
+function applySchedules_(settings) {
+  const refresh = parseRunSchedule_(settings.runTime);
+  const missing = parseWeeklySchedule_(settings.missingSchedule);
+
+  // Parse everything before deleting, so a typo leaves the old schedule in place.
+  removeScheduleTriggers_();
+
+  if (refresh.mode === 'hourly') {
+    ScriptApp.newTrigger(SCHEDULE_REFRESH_HANDLER)
+      .timeBased()
+      .everyHours(1)
+      .create();
+  } else {
+    refresh.times.forEach(t => {
+      ScriptApp.newTrigger(SCHEDULE_REFRESH_HANDLER)
+        .timeBased()
+        .everyDays(1)
+        .atHour(t.hour)
+        .nearMinute(t.minute)
+        .create();
+    });
+  }
+
+  if (missing) {
+    missing.days.forEach(day => {
+      ScriptApp.newTrigger(SCHEDULE_MISSING_HANDLER)
+        .timeBased()
+        .onWeekDay(ScriptApp.WeekDay[day])
+        .atHour(missing.hour)
+        .nearMinute(missing.minute)
+        .create();
+    });
+  }
+
+  const lines = [];
+  if (refresh.mode === 'hourly') {
+    lines.push(
+      'Refresh: every hour from ' +
+        formatHour_(refresh.startHour, 0) +
+        ' to ' +
+        formatHour_(refresh.endHour % 24, 0)
+    );
+  } else {
+    lines.push(
+      'Refresh: daily at ' + refresh.times.map(t => formatHour_(t.hour, t.minute)).join(', ')
+    );
+  }
+  if (settings.weekdaysOnly) lines.push('Refresh skips Saturday and Sunday.');
+  lines.push(
+    missing
+      ? 'Missing Submissions report: ' +
+          missing.days.map(d => d.charAt(0) + d.slice(1).toLowerCase()).join(', ') +
+          ' at ' +
+          formatHour_(missing.hour, missing.minute) +
+          ' (range: ' +
+          settings.missingRange +
+          ')'
+      : 'Missing Submissions report: not scheduled'
+  );
+
+  const summary = lines.join('\n');
+  PropertiesService.getScriptProperties().setProperty(SCHEDULE_SUMMARY_KEY, summary);
+  return summary;
+}
 
-    // Column A: checkboxes
-    day1.getRange(startRow, 1, rows.length, 1).insertCheckboxes();
+/**
+ * Parse the Run Time setting.
+ *   "5:00 AM"                  → daily at 5:00
+ *   "6:00 AM, 2:30 PM"         → daily at each time
+ *   "Hourly"                   → every hour
+ *   "Hourly 7:00 AM-4:00 PM"   → every hour inside the window (endHour is exclusive)
+ */
+function parseRunSchedule_(text) {
+  const value = (text || '5:00 AM').toString().trim();
+  const hourly = value.match(/^hourly\b\s*(.*)$/i);
 
-    // Column F: SpeedGrader links
-    for (let i = 0; i < rows.length; i++) {
-      const cell = day1.getRange(startRow + i, 6);
-      const url = rows[i][5];
-      cell
-        .setFormula('=HYPERLINK("' + url + '","View Submission")')
-        .setHorizontalAlignment('center')
-        .setFontColor('#0B5394');
+  if (hourly) {
+    if (!hourly[1]) return { mode: 'hourly', startHour: 0, endHour: 24 };
+    const ends = hourly[1].split(/\s*(?:-|–|to)\s*/i);
+    if (ends.length !== 2) {
+      throw new Error('Run Time "' + value + '": use e.g. "Hourly 7:00 AM-4:00 PM".');
     }
+    return {
+      mode: 'hourly',
+      startHour: parseTimeOfDay_(ends[0]).hour,
+      endHour: parseTimeOfDay_(ends[1]).hour
+    };
+  }
 
-    // Late highlighting (optional)
-    if (settings.highlightLate) {
-      for (let i = 0; i < submissions.length; i++) {
-        if (submissions[i].isLate) {
-          const cell = day1.getRange(startRow + i, 5);
-          cell.setBackground('#FFFF00').setFontColor('#FF0000').setFontWeight('bold');
-        }
-      }
+  const times = value
+    .split(/[,;]/)
+    .map(t => t.trim())
+    .filter(Boolean)
+    .map(parseTimeOfDay_);
+  if (times.length === 0) throw new Error('Run Time is empty (use e.g. 5:00 AM).');
+
+  return { mode: 'daily', times: times };
+}
+
+/**
+ * Parse a weekly schedule such as "Friday 3:00 PM" or "Mon, Thu 7:30 AM".
+ * Returns null for a blank setting.
+ */
+function parseWeeklySchedule_(text) {
+  const value = (text || '').toString().trim();
+  if (!value) return null;
+
+  const m = value.match(/^([a-z,\s]+?)\s+(\d{1,2}(?::\d{2})?\s*(?:am|pm)?)$/i);
+  if (!m) {
+    throw new Error('Missing Report Schedule "' + value + '": use e.g. "Friday 3:00 PM".');
+  }
+
+  const days = m[1]
+    .split(/[,\s]+/)
+    .filter(Boolean)
+    .map(d => {
+      const day = WEEKDAYS.find(w => w.indexOf(d.toUpperCase()) === 0 && d.length >= 3);
+      if (!day) throw new Error('Unknown day "' + d + '" in Missing Report Schedule.');
+      return day;
+    });
+
+  const time = parseTimeOfDay_(m[2]);
+  return { days: days, hour: time.hour, minute: time.minute };
+}
+
+/**
+ * "7", "7:30", "7:30 PM", "19:30" → { hour, minute }.
+ */
+function parseTimeOfDay_(text) {
+  const m = text
+    .toString()
+    .trim()
+    .match(/^(\d{1,2})(?::(\d{2}))?\s*(am|pm)?$/i);
+  if (!m) throw new Error('Could not read time "' + text + '" (use e.g. 5:00 AM).');
+
+  let hour = parseInt(m[1], 10);
+  const minute = m[2] ? parseInt(m[2], 10) : 0;
+  const ampm = (m[3] || '').toLowerCase();
+  if (ampm === 'pm' && hour < 12) hour += 12;
+  if (ampm === 'am' && hour === 12) hour = 0;
+
+  if (hour > 23 || minute > 59) throw new Error('Invalid time "' + text + '".');
+  return { hour: hour, minute: minute };
+}
+
+function formatHour_(hour, minute) {
+  const h12 = hour % 12 === 0 ? 12 : hour % 12;
+  return h12 + ':' + (minute < 10 ? '0' : '') + minute + (hour < 12 ? ' AM' : ' PM');
+}
+
+/**
+ * Trigger handler for scheduled refreshes. Honors pause, Weekdays Only? and the
+ * hourly window before running the normal refresh.
+ */
+function scheduledRefresh() {
+  HUB_RUN_CONTEXT_.headless = true;
+  try {
+    const settings = getSettings();
+    if (!isScheduleActive_(settings)) return;
+
+    const schedule = parseRunSchedule_(settings.runTime);
+    if (schedule.mode === 'hourly') {
+      const hour = parseInt(
+        Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'H'),
+        10
+      );
+      if (hour < schedule.startHour || hour >= schedule.endHour) return;
     }
+  } catch (e) {
+    Logger.log('ERROR in scheduledRefresh: ' + e.message);
+    resetCanvasFetchStats_();
+    recordRunError_(e);
+    writeRunLog_('Refresh');
+    return;
   }
 
-  const ungradedCount = submissions.filter(s => !s.isGraded).length;
-  const gradedCount = submissions.filter(s => s.isGraded).length;
+  refreshSubmissions();
+}
+
+/**
+ * Trigger handler for the scheduled Missing Submissions report (all courses).
+ */
+function scheduledMissingSubmissions() {
+  HUB_RUN_CONTEXT_.headless = true;
+  if (isSchedulePaused_()) {
+    Logger.log('Schedules paused; skipping Missing Submissions report.');
+    return;
+  }
 
-  day1.getRange('E2').setValue(ungradedCount);
-  day1.getRange('G2').setValue(gradedCount);
+  const settings = getSettings();
+  const job = createMissingJob_(settings, 'ALL', settings.missingRange);
+  resetCanvasFetchStats_();
+  runMissingJob_(settings, job);
+  Logger.log(describeCanvasFetchStats_());
 }
 
 /**
- * Human-friendly "time ago" string.
+ * False when schedules are paused or Weekdays Only? excludes today.
  */
-function getTimeAgo_(date) {
-  const now = new Date();
-  const diffMs = now - date;
-  const mins = Math.floor(diffMs / 60000);
-  const hrs = Math.floor(diffMs / 3600000);
-  const days = Math.floor(diffMs / 86400000);
+function isScheduleActive_(settings) {
+  if (isSchedulePaused_()) {
+    Logger.log('Schedules paused; skipping refresh.');
+    return false;
+  }
 
-  if (mins < 60) return mins === 1 ? '1 minute ago' : mins + ' minutes ago';
-  if (hrs < 24) return hrs === 1 ? '1 hour ago' : hrs + ' hours ago';
-  if (days === 1) return '1 day ago';
-  return days + ' days ago';
+  if (settings.weekdaysOnly) {
+    const isoDay = parseInt(Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'u'), 10);
+    if (isoDay >= 6) {
+      Logger.log('Weekdays Only: skipping weekend refresh.');
+      return false;
+    }
+  }
+  return true;
+}
+
+function isSchedulePaused_() {
+  return PropertiesService.getScriptProperties().getProperty(SCHEDULE_PAUSED_KEY) === 'true';
+}
+
+/**
+ * Delete every schedule trigger owned by the hub (continuation triggers are left alone).
+ */
+function removeScheduleTriggers_() {
+  let removed = 0;
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (SCHEDULE_HANDLERS.indexOf(t.getHandlerFunction()) !== -1) {
+      ScriptApp.deleteTrigger(t);
+      removed++;
+    }
+  });
+  return removed;
+}
+
+/**
+ * List the hub's triggers. Called from Canvas Hub → Schedules → Show Schedules.
+ */
+function showSchedules() {
+  const counts = {};
+  ScriptApp.getProjectTriggers().forEach(t => {
+    const h = t.getHandlerFunction();
+    counts[h] = (counts[h] || 0) + 1;
+  });
+
+  const labels = {};
+  labels[SCHEDULE_REFRESH_HANDLER] = 'Scheduled refresh';
+  labels[SCHEDULE_MISSING_HANDLER] = 'Scheduled Missing Submissions report';
+  labels['refreshSubmissions'] = 'Legacy 5 AM refresh (re-apply to replace)';
+  labels[MISSING_CONTINUE_HANDLER] = 'Pending Missing Submissions continuation';
+
+  const lines = Object.keys(counts).map(
+    h => '• ' + (labels[h] || h) + ': ' + counts[h] + ' trigger(s)'
+  );
+  const summary = PropertiesService.getScriptProperties().getProperty(SCHEDULE_SUMMARY_KEY);
+
+  SpreadsheetApp.getUi().alert(
+    'Canvas Hub Schedules\n\n' +
+      (lines.length ? lines.join('\n') : 'No triggers installed.') +
+      (summary && lines.length ? '\n\nLast applied:\n' + summary : '') +
+      '\n\nStatus: ' +
+      (isSchedulePaused_() ? 'PAUSED' : 'Active')
+  );
+}
+
+/**
+ * Pause or resume all scheduled runs without deleting triggers.
+ * Called from Canvas Hub → Schedules → Pause / Resume Schedules.
+ */
+function toggleSchedulesPaused() {
+  const props = PropertiesService.getScriptProperties();
+  const paused = !isSchedulePaused_();
+  if (paused) {
+    props.setProperty(SCHEDULE_PAUSED_KEY, 'true');
+  } else {
+    props.deleteProperty(SCHEDULE_PAUSED_KEY);
+  }
+  SpreadsheetApp.getUi().alert(
+    paused
+      ? 'Schedules paused. Triggers stay installed but will not run until resumed.'
+      : 'Schedules resumed.'
+  );
+}
+
+/**
+ * Remove the hub's schedule triggers.
+ * Called from Canvas Hub → Schedules → Remove All Schedules.
+ */
+function removeAllSchedules() {
+  const ui = SpreadsheetApp.getUi();
+  const btn = ui.alert(
+    'Remove All Schedules',
+    'Delete every Canvas Hub auto-run trigger?',
+    ui.ButtonSet.YES_NO
+  );
+  if (btn !== ui.Button.YES) return;
+
+  const removed = removeScheduleTriggers_();
+  PropertiesService.getScriptProperties().deleteProperty(SCHEDULE_SUMMARY_KEY);
+  ui.alert('Removed ' + removed + ' trigger(s).');
 }
 
 /***************************************************************
- * MISSING SUBMISSIONS (LATEST CREATED ASSIGNMENTS)
+ * COURSE PICKER (CHOOSE COURSES SIDEBAR)
  ***************************************************************/
 
+const COURSE_IDS_SETTING = 'Course IDs (comma-separated)';
+
 /**
- * Show missing-submissions dialog.
+ * Show the Choose Courses sidebar: the user's teacher courses grouped by term,
+ * with the configured ones ticked and any problem IDs flagged.
  */
-function openMissingSubmissionsDialog() {
+function openCoursePicker() {
   try {
-    const settings = getSettings();
-    const coursePairs = settings.courseIds.map(id => {
-      let name;
-      try {
-        name = getCourseName_(settings, id);
-      } catch (e) {
-        name = 'Course ' + id;
-      }
-      return { id: id, name: name };
-    });
-
-    const html = buildMissingDialogHtml_(coursePairs);
-    SpreadsheetApp.getUi().showModalDialog(html, 'Check Missing Submissions');
+    const settings = getSettings({ requireCourses: false });
+    const data = getCoursePickerData_(settings);
+    const html = buildCoursePickerHtml_(data);
+    SpreadsheetApp.getUi().showSidebar(html);
   } catch (e) {
-    Logger.log('openMissingSubmissionsDialog error: ' + e);
+    Logger.log('openCoursePicker error: ' + e);
     SpreadsheetApp.getUi().alert('Error: ' + (e && e.message ? e.message : e));
   }
 }
 
 /**
- * Backwards-compatible name, in case any existing script calls it.
+ * Courses for the picker.
+ * Returns { terms: [{ name, courses: [{ id, name, code, checked }] }],
+ *           problems: [{ id, name, reason }] } where problems are configured
+ * IDs that are not among the user's available teacher courses.
  */
-function buildMissingDialogHtml(coursePairs) {
-  return buildMissingDialogHtml_(coursePairs);
+function getCoursePickerData_(settings) {
+  const configured = settings.courseIds;
+  const courses =
+    canvasFetchAll_(
+      settings,
+      '/api/v1/courses?enrollment_type=teacher&state[]=available&include[]=term&per_page=100',
+      { method: 'get' },
+      'listing your courses'
+    ) || [];
+
+  const byTerm = {};
+  const available = {};
+  courses.forEach(c => {
+    const term = c.term || {};
+    const termName = term.name || 'No Term';
+    if (!byTerm[termName]) {
+      byTerm[termName] = { name: termName, startAt: term.start_at || '', courses: [] };
+    }
+    byTerm[termName].courses.push({
+      id: String(c.id),
+      name: c.name || 'Course ' + c.id,
+      code: c.course_code || '',
+      checked: configured.indexOf(String(c.id)) >= 0
+    });
+    available[String(c.id)] = true;
+  });
+
+  // Newest term first; courses without a term go last.
+  const terms = Object.keys(byTerm)
+    .map(k => byTerm[k])
+    .sort((a, b) => {
+      if (!a.startAt !== !b.startAt) return a.startAt ? -1 : 1;
+      return b.startAt.localeCompare(a.startAt) || a.name.localeCompare(b.name);
+    });
+  terms.forEach(t => t.courses.sort((a, b) => a.name.localeCompare(b.name)));
+
+  const problems = configured
+    .filter(id => !available[id])
+    .map(id => describeUnavailableCourse_(settings, id));
+
+  return { terms: terms, problems: problems };
 }
 
 /**
- * HTML dialog:
- *  - Course dropdown (All or single course)
- *  - Assignment range dropdown (latest, last 2, …, all)
- *  - Button disables on click, shows "Working…", and closes when server starts.
+ * Why a configured course is not in the available teacher list.
  */
-function buildMissingDialogHtml_(coursePairs) {
+function describeUnavailableCourse_(settings, courseId) {
+  let course;
+  try {
+    course = canvasFetch_(
+      settings,
+      '/api/v1/courses/' + courseId + '?include[]=term',
+      { method: 'get' },
+      'checking course ' + courseId
+    );
+  } catch (e) {
+    Logger.log('Course ' + courseId + ' not accessible: ' + e.message);
+    return { id: courseId, name: 'Course ' + courseId, reason: 'Not found or no access' };
+  }
+
+  const now = new Date();
+  const endAt = course.end_at || (course.term && course.term.end_at);
+  let reason = 'Not listed as one of your teacher courses';
+  if (course.workflow_state === 'completed' || (endAt && new Date(endAt) < now)) {
+    reason = 'Concluded';
+  } else if (course.workflow_state === 'unpublished') {
+    reason = 'Unpublished';
+  } else if (course.workflow_state === 'deleted') {
+    reason = 'Deleted';
+  }
+  return { id: courseId, name: course.name || 'Course ' + courseId, reason: reason };
+}
+
+/**
+ * Sidebar HTML:
+ *  - One checkbox per course, grouped under term headings
+ *  - "Needs attention" list for configured IDs that are concluded / inaccessible
+ *  - Save writes the ticked IDs back to Settings.
+ */
+function buildCoursePickerHtml_(data) {
+  const box = (id, label, checked, note) =>
+    `<label class="course"><input type="checkbox" value="${escapeHtml_(id)}"${checked ? ' checked' : ''}>
+       ${escapeHtml_(label)} <span class="id">(${escapeHtml_(id)})</span>${note || ''}</label>`;
+
+  const problems = data.problems.length
+    ? `<h3 class="warn">Needs attention</h3>
+       ${data.problems
+         .map(p => box(p.id, p.name, true, ` <span class="reason">${escapeHtml_(p.reason)}</span>`))
+         .join('')}
+       <small>Untick these to remove them from Settings.</small>`
+    : '';
+
+  const terms = data.terms
+    .map(
+      t =>
+        `<h3>${escapeHtml_(t.name)}</h3>` +
+        t.courses
+          .map(c => box(c.id, c.name + (c.code ? ' – ' + c.code : ''), c.checked))
+          .join('')
+    )
+    .join('');
+
   const html = HtmlService.createHtmlOutput(
     `
     <html>
       <head>
-        <meta charset="UTF-8">
-        <style>
-          body { font-family: Arial, sans-serif; margin: 16px; }
-          h2 { margin-top: 0; }
-          label { display:block; margin: 8px 0 4px; font-weight: bold; }
-          select, button { width: 100%; padding: 8px; font-size: 13px; box-sizing: border-box; }
-          .row { margin-bottom: 12px; }
-          .btn { margin-top: 12px; background-color: #2F5597; color: white; border: none; cursor: pointer; }
-          .btn[disabled] { background-color: #9FA9C3; cursor: default; }
-          .btn:hover:not([disabled]) { background-color: #1D3F73; }
-          small { color:#666; display:block; margin-top:4px; }
-        </style>
-      </head>
-      <body>
-        <h2>Missing Submissions</h2>
-        <div class="row">
-          <label>Course</label>
-          <select id="course">
-            <option value="ALL">All Classes</option>
-            ${coursePairs
-              .map(c => `<option value="${c.id}">${c.name} (${c.id})</option>`)
-              .join('')}
-          </select>
-        </div>
-        <div class="row">
-          <label>Assignment Range</label>
-          <select id="range">
-            <option value="1">Latest Assignment Only</option>
-            <option value="2">Last 2 Assignments</option>
-            <option value="3">Last 3 Assignments</option>
-            <option value="4">Last 4 Assignments</option>
-            <option value="5">Last 5 Assignments</option>
-            <option value="ALL">All Assignments (slow)</option>
-          </select>
-          <small>Assignments are ordered by <strong>created date</strong> (newest first), not due date.</small>
-        </div>
-        <button class="btn" id="runBtn">Run Missing Submissions</button>
-        <small id="statusMsg"></small>
+        <meta charset="UTF-8">
+        <style>
+          body { font-family: Arial, sans-serif; margin: 12px; font-size: 13px; }
+          h3 { margin: 14px 0 6px; font-size: 13px; color: #2F5597; }
+          h3 { border-bottom: 1px solid #D9E1F2; }
+          h3.warn { color: #C00000; border-color: #F4CCCC; }
+          .course { display: block; margin: 4px 0; }
+          .id { color: #888; }
+          .reason { color: #C00000; font-weight: bold; }
+          button { width: 100%; padding: 8px; font-size: 13px; margin-top: 14px; }
+          button { background-color: #2F5597; color: white; border: none; cursor: pointer; }
+          button[disabled] { background-color: #9FA9C3; cursor: default; }
+          small { color:#666; display:block; margin-top:4px; }
+        </style>
+      </head>
+      <body>
+        ${problems}
+        ${terms || '<p>No available teacher courses were found for this token.</p>'}
+        <button id="saveBtn">Save to Settings</button>
+        <small id="statusMsg">Sections set as course:section in Settings are kept.</small>
 
         <script>
           window.addEventListener('load', function () {
-            const btn = document.getElementById('runBtn');
+            const btn = document.getElementById('saveBtn');
             const status = document.getElementById('statusMsg');
 
             btn.addEventListener('click', function () {
-              if (btn.disabled) return;
-
-              const course = document.getElementById('course').value;
-              const range = document.getElementById('range').value;
+              const ids = Array.prototype.slice
+                .call(document.querySelectorAll('input[type=checkbox]:checked'))
+                .map(function (el) { return el.value; });
 
               btn.disabled = true;
-              btn.textContent = 'Working...';
-              status.textContent =
-                'Running Missing Submissions in the background. This may take a moment. ' +
-                'Watch the toast messages at the bottom of your sheet.';
-
+              status.textContent = 'Saving...';
               google.script.run
-                .withSuccessHandler(function () {
-                  google.script.host.close();
+                .withSuccessHandler(function (msg) {
+                  btn.disabled = false;
+                  status.textContent = msg;
                 })
                 .withFailureHandler(function (err) {
-                  alert('Server error: ' + (err && err.message ? err.message : JSON.stringify(err)));
                   btn.disabled = false;
-                  btn.textContent = 'Run Missing Submissions';
-                  status.textContent = 'Something went wrong. Please try again.';
+                  status.textContent = 'Error: ' + (err && err.message ? err.message : err);
                 })
-                .startMissingSubmissions(course, range);
+                .saveCourseSelection(ids);
             });
           });
         </script>
@@ -618,310 +5744,427 @@ function buildMissingDialogHtml_(coursePairs) {
     </html>
   `
   );
-  html.setWidth(380).setHeight(330);
+  html.setTitle('Choose Courses');
   return html;
 }
 
 /**
- * Server entry for Missing Submissions.
- * @param {string} courseChoice 'ALL' or specific courseId.
- * @param {string} rangeChoice  '1' | '2' | '3' | '4' | '5' | 'ALL'.
+ * Server entry for the Choose Courses sidebar. Writes the ticked IDs to the
+ * Course IDs setting, keeping any course:section entries for those courses.
+ * @param {string[]} ids Ticked course IDs.
+ * @return {string} Status line for the sidebar.
  */
-function startMissingSubmissions(courseChoice, rangeChoice) {
-  const ss = SpreadsheetApp.getActive();
-  const ui = SpreadsheetApp.getUi();
-
-  if (!courseChoice || !rangeChoice) {
-    ui.alert('Please use Canvas Hub → Check Missing Submissions to run this feature.');
-    return;
+function saveCourseSelection(ids) {
+  const selected = (ids || []).map(id => String(id).trim()).filter(Boolean);
+  if (selected.length === 0) {
+    throw new Error('Tick at least one course.');
   }
 
-  let settings;
-  try {
-    settings = getSettings();
-  } catch (e) {
-    ui.alert('Error loading settings: ' + e.message);
-    return;
-  }
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Settings');
+  const current = sheet ? getSettingValue_(sheet, COURSE_IDS_SETTING) : '';
 
-  const courseList = courseChoice === 'ALL' ? settings.courseIds : [courseChoice];
-  const maxAssignments = rangeChoice === 'ALL' ? 'ALL' : parseInt(rangeChoice, 10);
+  const entriesByCourse = {};
+  String(current || '')
+    .split(',')
+    .map(s => s.trim())
+    .filter(Boolean)
+    .forEach(entry => {
+      const courseId = entry.split(':')[0].trim();
+      (entriesByCourse[courseId] = entriesByCourse[courseId] || []).push(entry);
+    });
 
-  const out = prepareMissingSheet_();
+  const entries = [];
+  selected.forEach(id => {
+    (entriesByCourse[id] || [id]).forEach(e => {
+      if (entries.indexOf(e) < 0) entries.push(e);
+    });
+  });
 
-  ss.toast('Starting Missing Submissions…', 'Missing Submissions', 5);
+  setSettingValue_(COURSE_IDS_SETTING, entries.join(', '));
+  return 'Saved ' + selected.length + ' course(s) to Settings.';
+}
 
-  // Safety guard against hitting Apps Script time limits.
-  const START = Date.now();
-  const MAX_MS = 5.5 * 60 * 1000; // ~5.5 minutes
+/***************************************************************
+ * DIAGNOSTICS (TEST CONNECTION)
+ ***************************************************************/
 
-  let processed = 0;
+const DIAGNOSTICS_SHEET_NAME = 'Diagnostics';
+const DIAGNOSTICS_COLUMNS = ['Check', 'Result', 'Details', 'How to Fix'];
+const DIAGNOSTIC_COLORS = {
+  PASS: { font: '#198754', background: '#D9EAD3' },
+  WARN: { font: '#BF9000', background: '#FFF2CC' },
+  FAIL: { font: '#C00000', background: '#F4CCCC' }
+};
 
-  for (let i = 0; i < courseList.length; i++) {
-    const id = courseList[i];
+/**
+ * Check every setting, the Canvas login and each course, and write a
+ * pass/fail table to the Diagnostics tab.
+ * Called from Canvas Hub → Test Connection.
+ */
+function runDiagnostics() {
+  const rows = [];
+  const add = (check, result, details, fix) => rows.push([check, result, details, fix || '']);
 
-    ss.toast(
-      'Processing course ' + (i + 1) + ' of ' + courseList.length + '…',
-      'Missing Submissions',
-      10
-    );
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Settings');
+  if (!sheet) {
+    add('Settings tab', 'FAIL', 'No "Settings" sheet found.', 'Create a sheet named "Settings".');
+    return finishDiagnostics_(rows);
+  }
+  // Read before the Yes/No dropdowns normalize unexpected values.
+  const raw = readRawSettings_(sheet);
+  applyYesNoValidation_(sheet);
 
-    try {
-      appendMissingForCourse_(settings, id, maxAssignments, out);
-    } catch (e) {
-      Logger.log('Error in appendMissingForCourse_ for course ' + id + ': ' + e.message);
-      // continue with next course
-    }
+  let settings;
+  try {
+    settings = getSettings({ requireCourses: false, requireAuth: false });
+    add('Canvas Base URL', 'PASS', settings.baseUrl);
+  } catch (e) {
+    add('Settings', 'FAIL', e.message, 'Fix the Settings tab and run Test Connection again.');
+    return finishDiagnostics_(rows);
+  }
 
-    processed++;
+  const signedIn = diagnoseLogin_(settings, add);
+  diagnoseCourses_(settings, signedIn, add);
+  diagnoseOtherSettings_(settings, raw, add);
 
-    if (Date.now() - START > MAX_MS && i < courseList.length - 1) {
-      const btn = ui.alert(
-        'Partial run complete',
-        'Finished ' +
-          processed +
-          ' of ' +
-          courseList.length +
-          ' courses.\nClick “OK” to continue with the remaining courses.',
-        ui.ButtonSet.OK_CANCEL
-      );
+  return finishDiagnostics_(rows);
+}
 
-      if (btn !== ui.Button.OK) {
-        ss.toast('Missing Submissions cancelled by user.', 'Missing Submissions', 5);
-        return;
-      }
+/**
+ * Token present and accepted by /api/v1/users/self. Returns true when signed in.
+ */
+function diagnoseLogin_(settings, add) {
+  if (!settings.apiToken) {
+    add(
+      'Canvas login',
+      'FAIL',
+      'No Canvas token is saved for you.',
+      settings.oauthClientId
+        ? 'Canvas Hub → Canvas Login → Connect Canvas Account.'
+        : 'Canvas Hub → Canvas Login → Set API Token.'
+    );
+    return false;
+  }
 
-      ss.toast('Continuing Missing Submissions…', 'Missing Submissions', 5);
-      processed = 0;
-    }
+  const me = probeCanvas_(settings, '/api/v1/users/self');
+  if (me.error) {
+    add(
+      'Canvas login',
+      'FAIL',
+      'Could not reach https://' + settings.baseUrl + ': ' + me.error,
+      'Check Canvas Base URL (e.g. yourschool.instructure.com, no https:// or path).'
+    );
+    return false;
+  }
+  if (me.code === 401) {
+    add(
+      'Canvas login',
+      'FAIL',
+      'Canvas rejected the token (401).',
+      'The token is invalid or expired. Create a new one in Canvas (Account → Settings) and ' +
+        'save it with Canvas Hub → Canvas Login.'
+    );
+    return false;
+  }
+  if (me.code !== 200 || !me.data || !me.data.id) {
+    add(
+      'Canvas login',
+      'FAIL',
+      'Unexpected response (' + me.code + ') from /api/v1/users/self.',
+      'Canvas Base URL may not point at your Canvas site.'
+    );
+    return false;
   }
 
-  ss.toast('Missing Submissions complete ✔', 'Done', 5);
-  ui.alert('Missing Submissions updated.\nCheck the "Missing Submissions" tab.');
+  add('Canvas login', 'PASS', 'Signed in as ' + me.data.name + ' (user ' + me.data.id + ').');
+  return true;
 }
 
 /**
- * Prepare / clear the "Missing Submissions" sheet.
+ * Name, teacher permission, student count and sections for every configured course.
  */
-function prepareMissingSheet_() {
-  const ss = SpreadsheetApp.getActive();
-  let sh = ss.getSheetByName('Missing Submissions');
-  if (!sh) sh = ss.insertSheet('Missing Submissions');
+function diagnoseCourses_(settings, signedIn, add) {
+  if (settings.courseIds.length === 0) {
+    add('Course IDs', 'FAIL', 'No courses configured.', 'Canvas Hub → Choose Courses.');
+    return;
+  }
+  add('Course IDs', 'PASS', settings.courseIds.length + ' course(s) configured.');
+  if (!signedIn) {
+    add('Courses', 'WARN', 'Skipped: fix the Canvas login first.');
+    return;
+  }
 
-  sh.clear();
-  sh.setFrozenRows(2);
+  settings.courseIds.forEach(courseId => {
+    const label = 'Course ' + courseId;
+    if (!/^\d+$/.test(courseId)) {
+      add(label, 'FAIL', 'Not a numeric course ID.', 'Use the number from the course URL.');
+      return;
+    }
 
-  sh.getRange('A1:E1').merge();
-  sh
-    .getRange('A1')
-    .setValue('MISSING SUBMISSIONS DASHBOARD')
-    .setFontSize(14)
-    .setFontWeight('bold')
-    .setFontColor('#FFFFFF')
-    .setBackground('#C00000')
-    .setHorizontalAlignment('center')
-    .setVerticalAlignment('middle');
-  sh.setRowHeight(1, 24);
+    const course = probeCanvas_(
+      settings,
+      '/api/v1/courses/' + courseId + '?include[]=total_students&include[]=term'
+    );
+    if (course.code !== 200 || !course.data) {
+      add(
+        label,
+        'FAIL',
+        course.error || 'Canvas returned ' + course.code + '.',
+        course.code === 404
+          ? 'Check the ID, or remove it with Canvas Hub → Choose Courses.'
+          : 'You are not enrolled in this course, or it was deleted.'
+      );
+      return;
+    }
 
-  const now = new Date();
-  sh.getRange('A2').setValue('Last Updated:').setFontWeight('bold');
-  sh
-    .getRange('B2')
-    .setValue(Utilities.formatDate(now, Session.getScriptTimeZone(), 'M/d/yyyy h:mm a'));
+    const c = course.data;
+    const details = (c.name || label) + ' – ' + (c.total_students || 0) + ' student(s)';
+    const endAt = c.end_at || (c.term && c.term.end_at);
+    if (c.workflow_state === 'completed' || (endAt && new Date(endAt) < new Date())) {
+      add(label, 'WARN', details + ', concluded.', 'Remove it with Canvas Hub → Choose Courses.');
+      return;
+    }
 
-  const headers = ['Student Name', 'Assignment', 'Created Date', 'Course', 'SpeedGrader Link'];
-  sh.getRange(4, 1, 1, headers.length).setValues([headers]);
-  sh
-    .getRange(4, 1, 1, headers.length)
-    .setFontWeight('bold')
-    .setFontColor('#FFFFFF')
-    .setBackground('#2F5597')
-    .setHorizontalAlignment('center')
-    .setVerticalAlignment('middle');
+    const perms = probeCanvas_(
+      settings,
+      '/api/v1/courses/' + courseId + '/permissions?permissions[]=manage_grades'
+    );
+    if (!perms.data || perms.data.manage_grades !== true) {
+      add(
+        label,
+        'WARN',
+        details + ', but you cannot grade in it.',
+        'Sync Grades needs a teacher or TA enrollment in this course.'
+      );
+      return;
+    }
 
-  sh.setColumnWidth(1, 200);
-  sh.setColumnWidth(2, 260);
-  sh.setColumnWidth(3, 160);
-  sh.setColumnWidth(4, 220);
-  sh.setColumnWidth(5, 170);
+    const wanted = settings.courseSections[courseId];
+    if (wanted) {
+      const names = getCourseSections_(settings, courseId);
+      const unknown = wanted.filter(id => !names[id]);
+      if (unknown.length) {
+        add(
+          label,
+          'FAIL',
+          details + '; section(s) not found: ' + unknown.join(', ') + '.',
+          'Fix the course:section entries in Course IDs.'
+        );
+        return;
+      }
+      add(label, 'PASS', details + '; sections: ' + wanted.map(id => names[id]).join(', '));
+      return;
+    }
 
-  return { sheet: sh, nextRow: 5 };
+    add(label, 'PASS', details);
+  });
 }
 
 /**
- * Append one course’s missing-submissions list.
+ * Schedules, digest, ranges and Yes/No values.
  */
-function appendMissingForCourse_(settings, courseId, maxAssignments, out) {
-  const ss = SpreadsheetApp.getActive();
-  const sh = out.sheet;
-
-  // Course name for section header.
-  let courseName;
+function diagnoseOtherSettings_(settings, raw, add) {
   try {
-    courseName = getCourseName_(settings, courseId);
+    parseRunSchedule_(settings.runTime);
+    add('Run Time', 'PASS', settings.runTime);
   } catch (e) {
-    courseName = 'Course ' + courseId;
+    add('Run Time', 'FAIL', e.message, 'Use e.g. "5:00 AM", "Hourly" or "Hourly 7:00 AM-4:00 PM".');
   }
 
-  // Divider row per course.
-  const hdr = out.nextRow++;
-  sh.getRange(hdr, 1, 1, 5).merge();
-  sh
-    .getRange(hdr, 1)
-    .setValue(courseName + ' (' + courseId + ')')
-    .setBackground('#FBE5D6')
-    .setFontWeight('bold');
-  sh.setRowHeight(hdr, 22);
-
-  // Data fetch.
-  const students = getCourseStudents_(settings, courseId);
-  let assignments = getAssignments_(settings, courseId);
-
-  // Sort by created_at DESC (newest first).
-  assignments.sort((a, b) => {
-    const ad = a.created_at ? new Date(a.created_at).getTime() : -Infinity;
-    const bd = b.created_at ? new Date(b.created_at).getTime() : -Infinity;
-    return bd - ad;
-  });
-
-  if (maxAssignments !== 'ALL') {
-    assignments = assignments.slice(0, maxAssignments);
+  try {
+    const weekly = parseWeeklySchedule_(settings.missingSchedule);
+    add('Missing Report Schedule', 'PASS', weekly ? settings.missingSchedule : 'Not scheduled');
+  } catch (e) {
+    add('Missing Report Schedule', 'FAIL', e.message, 'Use e.g. "Friday 3:00 PM" or leave blank.');
   }
 
-  if (assignments.length === 0) {
-    const r = out.nextRow++;
-    sh.getRange(r, 1, 1, 5).merge();
-    sh
-      .getRange(r, 1)
-      .setValue('No assignments found for this selection.')
-      .setFontStyle('italic')
-      .setFontColor('#666666');
-    return;
+  // Same parser as the run: anything it reads back unchanged is in use as typed.
+  const range = parseMissingRange_(settings.missingRange);
+  const rangeText = String(settings.missingRange || '').trim().toUpperCase();
+  if (
+    range.dueWithinDays === null &&
+    range.maxAssignments !== 'ALL' &&
+    String(range.maxAssignments) !== rangeText
+  ) {
+    add(
+      'Missing Report Range',
+      'WARN',
+      '"' + settings.missingRange + '" is not recognized; ' + range.maxAssignments + ' is used.',
+      'Use a number of assignments (e.g. 5), ALL, DUE7, DUE14 or DUE30.'
+    );
   }
 
-  assignments.forEach((asmt, idx) => {
-    ss.toast(
-      'Checking "' + asmt.name + '" (' + (idx + 1) + ' of ' + assignments.length + ')…',
-      'Missing Submissions',
-      10
+  const extra = parseExtraDayColumns_(raw['Extra Day Columns']);
+  if (extra.unknown.length) {
+    add(
+      'Extra Day Columns',
+      'WARN',
+      'Ignored: ' + extra.unknown.join(', '),
+      'Choose from ' +
+        DAY_TAB_COLUMNS.filter(c => c.optional)
+          .map(c => c.header)
+          .join(', ') +
+        ', or All.'
     );
+  }
 
-    const subs = getAssignmentSubmissionsRaw_(settings, courseId, asmt.id);
-    const submittedIds = new Set(
-      subs
-        .filter(s => s && s.submitted_at && s.workflow_state !== 'unsubmitted')
-        .map(s => s.user_id)
+  const weights = parseQueueWeights_(raw['Queue Weights']);
+  if (weights.unknown.length) {
+    add(
+      'Queue Weights',
+      'WARN',
+      'Ignored: ' + weights.unknown.join(', '),
+      'Use e.g. "Age 3, Due 2, Points 1, Late 2, Course 2".'
     );
+  }
 
-    const missing = students.filter(stu => !submittedIds.has(stu.id));
-
-    if (missing.length === 0) {
-      const r = out.nextRow++;
-      sh.getRange(r, 1, 1, 5).merge();
-      sh
-        .getRange(r, 1)
-        .setValue('✓ No missing submissions for: ' + asmt.name)
-        .setFontColor('#198754');
-      return;
-    }
-
-    const createdText = asmt.created_at
-      ? Utilities.formatDate(
-          new Date(asmt.created_at),
-          Session.getScriptTimeZone(),
-          'M/d/yyyy h:mm a'
-        )
-      : '—';
-
-    // Assignment title row.
-    const titleRow = out.nextRow++;
-    sh.getRange(titleRow, 1, 1, 5).merge();
-    sh
-      .getRange(titleRow, 1)
-      .setValue(asmt.name)
-      .setFontWeight('bold')
-      .setBackground('#FFF2CC');
-
-    // Missing rows.
-    const rows = missing.map(m => {
-      const link =
-        'https://' +
-        settings.baseUrl +
-        '/courses/' +
-        courseId +
-        '/gradebook/speed_grader?assignment_id=' +
-        asmt.id +
-        '&student_id=' +
-        m.id;
+  const cacheMinutes = parseCacheMinutes_(raw['Cache Minutes']);
+  if (cacheMinutes.unknown.length) {
+    add(
+      'Cache Minutes',
+      'WARN',
+      'Ignored: ' + cacheMinutes.unknown.join(', '),
+      'Use e.g. "Names 360, Rosters 60, Assignments 15" (0 turns caching off).'
+    );
+  }
 
-      return [m.name, asmt.name, createdText, courseName, link];
-    });
+  const hours = raw['Hours to Look Back'];
+  if (hours && !/^\d+$/.test(hours)) {
+    add('Hours to Look Back', 'WARN', '"' + hours + '" is not a number; 24 is used.', '');
+  }
 
-    sh.getRange(out.nextRow, 1, rows.length, 5).setValues(rows);
+  if (settings.sendDigest && !settings.digestEmails.length && !settings.digestWebhookUrl) {
+    add(
+      'Digest',
+      'WARN',
+      'Send Digest? is Yes but no Digest Email or Digest Webhook URL is set.',
+      'Add an email address or webhook URL.'
+    );
+  }
+  if (settings.digestWebhookUrl && !/^https:\/\//i.test(settings.digestWebhookUrl)) {
+    add('Digest Webhook URL', 'FAIL', 'Must start with https://.', '');
+  }
 
-    // Hyperlinks.
-    for (let i = 0; i < rows.length; i++) {
-      const cell = sh.getRange(out.nextRow + i, 5);
-      const url = rows[i][4];
-      cell
-        .setFormula('=HYPERLINK("' + url + '","Open SpeedGrader")')
-        .setHorizontalAlignment('center')
-        .setFontColor('#0B5394');
+  Object.keys(raw).forEach(key => {
+    if (!/\?$/.test(key)) return;
+    if (!/^(yes|no|y|n|true|false)?$/i.test(raw[key])) {
+      add(key, 'WARN', '"' + raw[key] + '" is treated as No.', 'Pick Yes or No from the dropdown.');
     }
-
-    out.nextRow += rows.length;
   });
-
-  // Blank spacer row after each course section.
-  out.nextRow++;
 }
 
 /**
- * Course roster (students only).
+ * Single request without retries: { code, data } or { code: 0, error }.
  */
-function getCourseStudents_(settings, courseId) {
-  let arr;
+function probeCanvas_(settings, path) {
+  let res;
   try {
-    arr =
-      canvasFetch_(
-        settings,
-        '/api/v1/courses/' + courseId + '/users?enrollment_type[]=student&per_page=100',
-        { method: 'get' },
-        'fetching students for course ' + courseId
-      ) || [];
+    res = UrlFetchApp.fetch('https://' + settings.baseUrl + path, {
+      method: 'get',
+      headers: canvasHeaders_(settings),
+      muteHttpExceptions: true
+    });
   } catch (e) {
-    Logger.log('Failed to fetch students for ' + courseId + ': ' + e.message);
-    return [];
+    return { code: 0, data: null, error: e.message };
   }
 
-  return arr.map(u => ({
-    id: u.id,
-    name: u.name || u.sortable_name || 'Unknown Student'
-  }));
+  let data = null;
+  try {
+    data = JSON.parse(res.getContentText());
+  } catch (e) {
+    // Not JSON (e.g. an HTML login page); callers treat data as missing.
+  }
+  return { code: res.getResponseCode(), data: data };
 }
 
 /**
- * Raw submissions for an assignment (no filtering).
+ * Write the Diagnostics tab and show a one-line summary.
  */
-function getAssignmentSubmissionsRaw_(settings, courseId, assignmentId) {
-  try {
-    return (
-      canvasFetch_(
-        settings,
-        '/api/v1/courses/' +
-          courseId +
-          '/assignments/' +
-          assignmentId +
-          '/submissions?per_page=100',
-        { method: 'get' },
-        'fetching raw submissions for assignment ' + assignmentId
-      ) || []
-    );
-  } catch (e) {
-    Logger.log(
-      'Failed to fetch submissions for assignment ' + assignmentId + ': ' + e.message
-    );
-    return [];
+function finishDiagnostics_(rows) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sh = ss.getSheetByName(DIAGNOSTICS_SHEET_NAME);
+  if (!sh) sh = ss.insertSheet(DIAGNOSTICS_SHEET_NAME);
+  sh.clear();
+
+  const width = DIAGNOSTICS_COLUMNS.length;
+  sh.getRange(1, 1, 1, width).merge();
+  sh
+    .getRange('A1')
+    .setValue('CANVAS HUB DIAGNOSTICS')
+    .setFontSize(14)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#2F5597')
+    .setHorizontalAlignment('center');
+  sh.getRange('A2').setValue('Run:').setFontWeight('bold');
+  sh
+    .getRange('B2')
+    .setValue(Utilities.formatDate(new Date(), Session.getScriptTimeZone(), 'M/d/yyyy h:mm a'));
+
+  sh.getRange(4, 1, 1, width).setValues([DIAGNOSTICS_COLUMNS]);
+  sh
+    .getRange(4, 1, 1, width)
+    .setFontWeight('bold')
+    .setFontColor('#FFFFFF')
+    .setBackground('#7F7F7F');
+  sh.setFrozenRows(4);
+
+  const counts = { PASS: 0, WARN: 0, FAIL: 0 };
+  if (rows.length) {
+    sh.getRange(5, 1, rows.length, width).setValues(rows);
+    rows.forEach((r, i) => {
+      counts[r[1]]++;
+      const color = DIAGNOSTIC_COLORS[r[1]];
+      sh
+        .getRange(5 + i, 2)
+        .setFontColor(color.font)
+        .setBackground(color.background)
+        .setFontWeight('bold')
+        .setHorizontalAlignment('center');
+    });
+    sh.getRange(5, 3, rows.length, 2).setWrap(true);
+  }
+
+  sh.setColumnWidth(1, 200);
+  sh.setColumnWidth(2, 70);
+  sh.setColumnWidth(3, 360);
+  sh.setColumnWidth(4, 360);
+  sh.activate();
+
+  SpreadsheetApp.getUi().alert(
+    'Diagnostics: ' +
+      counts.PASS +
+      ' passed, ' +
+      counts.WARN +
+      ' warning(s), ' +
+      counts.FAIL +
+      ' failed.\nSee the "' +
+      DIAGNOSTICS_SHEET_NAME +
+      '" tab for details and fixes.'
+  );
+}
+
+/**
+ * Yes/No dropdowns on every Settings row whose name ends in "?". Existing
+ * values are normalized first so the rule does not flag them.
+ */
+function applyYesNoValidation_(sheet) {
+  const data = sheet.getDataRange().getValues();
+  const rule = SpreadsheetApp.newDataValidation()
+    .requireValueInList(['Yes', 'No'], true)
+    .setAllowInvalid(false)
+    .build();
+
+  for (let i = 2; i < data.length; i++) {
+    const key = (data[i][0] || '').toString().trim();
+    if (!/\?$/.test(key)) continue;
+
+    const cell = sheet.getRange(i + 1, 2);
+    const value = (data[i][1] || '').toString().trim();
+    if (value && value !== 'Yes' && value !== 'No') {
+      cell.setValue(normalizeYesNo_(value) ? 'Yes' : 'No');
+    }
+    cell.setDataValidation(rule);
   }
 }
 
@@ -936,11 +6179,15 @@ function getAssignmentSubmissionsRaw_(settings, courseId, assignmentId) {
 function reloadSettings() {
   try {
     const s = getSettings();
+    applyYesNoValidation_(SpreadsheetApp.getActiveSpreadsheet().getSheetByName('Settings'));
     SpreadsheetApp.getUi().alert(
       'Settings Loaded Successfully!\n\n' +
         'Canvas URL: ' +
         s.baseUrl +
         '\n' +
+        'Canvas Login: ' +
+        (s.oauthClientId ? 'Canvas account (OAuth)' : 'personal API token') +
+        '\n' +
         'Courses: ' +
         s.courseIds.length +
         ' course(s)\n' +
@@ -952,6 +6199,13 @@ function reloadSettings() {
         '\n' +
         'Highlight Late Submissions: ' +
         (s.highlightLate ? 'Yes' : 'No') +
+        '\n' +
+        'Run Time: ' +
+        s.runTime +
+        (s.weekdaysOnly ? ' (weekdays only)' : '') +
+        '\n' +
+        'Missing Report Schedule: ' +
+        (s.missingSchedule || 'none') +
         '\n\n' +
         'Ready to refresh!'
     );
@@ -960,29 +6214,6 @@ function reloadSettings() {
   }
 }
 
-/**
- * Create or replace a daily trigger for refreshSubmissions at ~5 AM.
- * Called from Canvas Hub → Set Up Auto-Run (5 AM Daily).
- */
-function setupDailyTrigger() {
-  const triggers = ScriptApp.getProjectTriggers();
-  triggers.forEach(t => {
-    if (t.getHandlerFunction() === 'refreshSubmissions') {
-      ScriptApp.deleteTrigger(t);
-    }
-  });
-
-  ScriptApp.newTrigger('refreshSubmissions')
-    .timeBased()
-    .everyDays(1)
-    .atHour(5)
-    .create();
-
-  SpreadsheetApp.getUi().alert(
-    'Auto-run set up!\n\nThe script will check for new submissions daily at 5 AM.'
-  );
-}
-
 /**
  * Simple helper; returns the declared version as a string.
  */
@@ -999,17 +6230,102 @@ function showHelp() {
     'DAILY WORKFLOW:\n' +
     '1) Use the Day 1 tab to see recent submissions.\n' +
     '2) Click "View Submission" to open SpeedGrader in Canvas.\n' +
-    '3) Grade in Canvas, then check the "Graded?" box in column A.\n\n' +
+    '3) Grade in Canvas, then run Canvas Hub → Sync Grades with Canvas to tick\n' +
+    '   the "Graded?" box and fill in Score (or tick it yourself).\n' +
+    '4) Running Refresh again the same day adds new rows to the top of Day 1.\n' +
+    '   Notes follow a submission to any newer Day tab; Day 5 rows are kept\n' +
+    '   on the "Day Archive" tab when it rotates out.\n\n' +
+    'SYNC GRADES:\n' +
+    '- With "Push Grades to Canvas?" = Yes, scores typed in the Score column and\n' +
+    '  text in the Comment column are posted to Canvas on the next sync.\n' +
+    '- If a score changed both here and in Canvas, the row is flagged as a\n' +
+    '  CONFLICT in "Sync Status" and neither side is overwritten.\n' +
+    '- The Type column tells discussions, classic quizzes, New Quizzes and\n' +
+    '  peer reviews from other assignments; quizzes waiting on hand grading say\n' +
+    '  "(Needs Review)", even if submitted before the last refresh. Discussion\n' +
+    '  and classic quiz links open the discussion or the quiz moderation page.\n' +
+    '- Peer reviews still outstanding on assignments due in the last 14 days are\n' +
+    '  listed for the reviewing student on each refresh (unless already on a\n' +
+    '  Day tab); sync skips them and they are not counted as ungraded.\n' +
+    '- Anonymous grading assignments show "Anonymous <id>" instead of the\n' +
+    '  student (also on Missing Submissions) and link to anonymous SpeedGrader.\n' +
+    '- Moderated assignments are marked [Moderated]; scores typed for them are\n' +
+    '  not sent, since the moderator sets the final grade.\n\n' +
+    'GRADING HISTORY:\n' +
+    '- Every submission the hub sees is logged on the "History" tab, with the\n' +
+    '  time it was graded and by whom once Canvas reports it graded.\n' +
+    '- The "Turnaround" tab shows median grading time per course and\n' +
+    '  assignment plus the oldest ungraded work; it updates on each refresh.\n\n' +
+    'GRADING QUEUE:\n' +
+    '- Canvas Hub → Update Grading Queue ranks every ungraded row from Day 1–5\n' +
+    '  on the "Grading Queue" tab, highest priority first. It is rebuilt on\n' +
+    '  each refresh and sync, and work Canvas reports graded drops off.\n' +
+    '- Queue Weights sets how much Age (time waiting), Due (time since due),\n' +
+    '  Points, Late and Course count, e.g. "Age 3, Due 2, Points 1, Late 2,\n' +
+    '  Course 2" (the default); 0 ignores a factor.\n' +
+    '- Course Priority ranks whole classes, e.g. "101:3, 202:1" (default 1).\n\n' +
     'MISSING SUBMISSIONS:\n' +
     '- Canvas Hub → Check Missing Submissions.\n' +
-    '- Choose class (or All) and assignment range.\n' +
+    '- Choose class (or All) and assignment range: the latest 1–5 past-due\n' +
+    '  assignments, everything due in the last 7/14/30 days, or all of them.\n' +
+    '- A student counts as missing once their own due date (including\n' +
+    '  overrides) has passed with nothing turned in. Excused students, students\n' +
+    '  not assigned the work, no-submission / on-paper assignments and\n' +
+    '  unpublished assignments are skipped.\n' +
+    '- The Canvas Test Student and inactive, invited and concluded students are\n' +
+    '  left out; each class header shows how many. Set Include Test Student?,\n' +
+    '  Include Inactive / Invited / Concluded Students? to Yes to list them.\n' +
     '- Click Run and wait; the dialog will close and toasts will show progress.\n' +
-    '- Results are grouped by class and assignment on the "Missing Submissions" tab.\n\n' +
+    '- Long runs save their progress and continue automatically; see the Status cell.\n' +
+    '- Results are grouped by class and assignment on the "Missing Submissions" tab.\n' +
+    '- Message Missing Students builds one Canvas message per student on the\n' +
+    '  "Message Preview" tab (nothing is sent yet). Edit or untick rows, then\n' +
+    '  use Send Previewed Messages. Sends are logged on "Message Log" and a\n' +
+    '  student is not messaged twice in one day.\n\n' +
+    'STUDENT REPORT:\n' +
+    '- Canvas Hub → Student Report: pick a student to see submitted, late,\n' +
+    '  missing and graded counts, current score and outstanding work for\n' +
+    '  every class on the "Student Report" tab.\n' +
+    '- Tick "Also save a PDF" or use Export Student Report (PDF) to save a copy\n' +
+    '  to Google Drive for conferences.\n\n' +
     'SETTINGS:\n' +
     '- Canvas Base URL (e.g., yourschool.instructure.com).\n' +
-    '- Canvas API Token (Account → Settings → New Access Token).\n' +
-    '- Course IDs (comma-separated Canvas course IDs).\n' +
-    '- Hours to Look Back, Show Only Ungraded, Highlight Late Submissions.\n\n' +
+    '- Canvas login: Canvas Hub → Canvas Login → Set API Token (Account →\n' +
+    '  Settings → New Access Token in Canvas). The token is kept with your\n' +
+    '  Google account, not in the sheet, so each teacher signs in separately.\n' +
+    '- Or add "Canvas OAuth Client ID" (your school’s developer key), set the\n' +
+    '  client secret once, and use Connect Canvas Account.\n' +
+    '- Course IDs (comma-separated Canvas course IDs), or pick them with\n' +
+    '  Canvas Hub → Choose Courses (concluded or inaccessible IDs are flagged).\n' +
+    '  Use course:section (e.g. 12345:67890) to see only one section of a\n' +
+    '  shared or cross-listed course; list the course again for each section.\n' +
+    '- Hours to Look Back, Show Only Ungraded, Highlight Late Submissions,\n' +
+    '  Push Grades to Canvas.\n' +
+    '- Extra Day Columns adds any of: Attempt, Resubmitted, Due Date, Days Late,\n' +
+    '  Submission Type, Points Possible (or "All"). A change starts a new Day 1\n' +
+    '  on the next refresh.\n' +
+    '- Course names, rosters and assignment lists are cached for the minutes in\n' +
+    '  Cache Minutes (default "Names 360, Rosters 60, Assignments 15"; at most\n' +
+    '  360). Changing Course IDs or Canvas Hub → Clear Cache starts fresh.\n' +
+    '- Refresh only fetches work submitted since the last successful refresh;\n' +
+    '  Hours to Look Back is used the first time. Reset Refresh History starts over.\n' +
+    '- If Canvas refuses a course or assignment, the rest of the run continues;\n' +
+    '  the alert, digest and Day 1 header say so and the "Run Log" tab lists\n' +
+    '  each failure with its HTTP code.\n' +
+    '- Canvas Hub → Test Connection checks every setting, your Canvas login and\n' +
+    '  each course, and lists problems with fixes on the "Diagnostics" tab.\n' +
+    '  Settings ending in "?" get Yes/No dropdowns.\n\n' +
+    'SCHEDULES:\n' +
+    '- Run Time: "5:00 AM", "6:00 AM, 2:00 PM", "Hourly" or\n' +
+    '  "Hourly 7:00 AM-4:00 PM". Weekdays Only? skips weekends.\n' +
+    '- Missing Report Schedule (e.g. "Friday 3:00 PM") runs Missing\n' +
+    '  Submissions for all classes using Missing Report Range.\n' +
+    '- Canvas Hub → Schedules → Apply Auto-Run Schedule after changing these;\n' +
+    '  Show / Pause / Remove are in the same menu.\n\n' +
+    'DIGEST:\n' +
+    '- Set "Send Digest?" to Yes and a Digest Email and/or Digest Webhook URL\n' +
+    '  (Google Chat or Slack) to get a summary after each scheduled refresh.\n' +
+    '- Canvas Hub → Send Digest Now sends one immediately.\n\n' +
     'PERMISSIONS / REVOKE ACCESS:\n' +
     '- You can revoke or review Google permissions at:\n' +
     '  https://myaccount.google.com/permissions\n';